@@ -15,4 +15,12 @@ module.exports = {
     'prefer-const': 'error',
     'no-var': 'error',
   },
+  overrides: [
+    {
+      files: ['vite.config.js', 'plugins/**/*.js'],
+      env: {
+        node: true,
+      },
+    },
+  ],
 };
\ No newline at end of file
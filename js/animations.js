@@ -318,23 +318,9 @@ function refreshAnimations() {
   }
 }
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initAnimations);
-} else {
-  // DOM already loaded
-  initAnimations();
-}
-
-// Clean up on page unload
-window.addEventListener('unload', destroyAnimations);
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    AnimationManager,
-    initAnimations,
-    destroyAnimations,
-    refreshAnimations
-  };
-}
\ No newline at end of file
+export {
+  AnimationManager,
+  initAnimations,
+  destroyAnimations,
+  refreshAnimations,
+};
@@ -0,0 +1,277 @@
+/**
+ * Form Protection Module
+ * Layered spam protection for the forms handled by forms.js:
+ *
+ * 1. A honeypot field hidden from people and assistive technology
+ * 2. A minimum time between the form appearing and its submission
+ * 3. A per-browser limit on submissions, stored in localStorage
+ * 4. A proof-of-work token bound to the payload, solved in a Web Worker for
+ *    each submission
+ *
+ * Honeypot and timing failures look like bots and are answered with a fake
+ * success, so bots learn nothing. The rate limit can catch real visitors and
+ * is reported to them with an accessible message.
+ *
+ * @module form-protection
+ * @dependencies: [i18n, proof-of-work]
+ */
+
+import { t } from '../src/js/i18n.js';
+import { createChallenge, solveChallenge } from './proof-of-work.js';
+
+/**
+ * Protection settings
+ */
+const PROTECTION_CONFIG = Object.freeze({
+  HONEYPOT_NAME: 'website',
+  HONEYPOT_CLASS: 'form-honeypot',
+  // Submissions faster than this after the form appeared are treated as bots
+  MIN_SUBMIT_TIME: 3000,
+  RATE_LIMIT: Object.freeze({
+    STORAGE_KEY: 'form_submissions',
+    MAX_SUBMISSIONS: 3,
+    WINDOW: 10 * 60 * 1000,
+  }),
+  PROOF: Object.freeze({
+    FIELD: 'pow_token',
+    // Leading zero bits; each extra bit doubles the average work
+    DIFFICULTY: 14,
+    // Forms are sent without a token rather than keeping a visitor waiting
+    TIMEOUT: 10000,
+  }),
+});
+
+/**
+ * Outcome of the submission checks
+ */
+const SUBMISSION_VERDICT = Object.freeze({
+  ALLOWED: 'allowed',
+  BOT: 'bot',
+  RATE_LIMITED: 'rate-limited',
+});
+
+/**
+ * Protection state per form. `proof` is the token being solved for the
+ * submission in progress.
+ * @type {WeakMap<HTMLFormElement, {shownAt: number, proof: (Promise<string|null>|null)}>}
+ */
+const formStates = new WeakMap();
+
+/**
+ * Returns the name submissions of a form are rate limited under
+ * @param {HTMLFormElement} form - Form element
+ * @returns {string} Form name
+ */
+function getFormName(form) {
+  return form.dataset.formName || form.id || 'form';
+}
+
+/**
+ * Adds the honeypot field. It is moved off screen rather than hidden with
+ * `display: none`, which bots recognise, and kept out of the tab order and
+ * the accessibility tree so nobody fills it by accident.
+ * @param {HTMLFormElement} form - Form element
+ */
+function addHoneypot(form) {
+  if (form.querySelector(`.${PROTECTION_CONFIG.HONEYPOT_CLASS}`)) return;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = PROTECTION_CONFIG.HONEYPOT_CLASS;
+  wrapper.setAttribute('aria-hidden', 'true');
+
+  const id = `${getFormName(form)}-${PROTECTION_CONFIG.HONEYPOT_NAME}`;
+  const label = document.createElement('label');
+  label.htmlFor = id;
+  label.textContent = t('forms.honeypot');
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = id;
+  input.name = PROTECTION_CONFIG.HONEYPOT_NAME;
+  input.tabIndex = -1;
+  input.autocomplete = 'off';
+  input.dataset.honeypot = 'true';
+
+  wrapper.append(label, input);
+  form.appendChild(wrapper);
+}
+
+/**
+ * Reads the stored submission times per form name
+ * @returns {Object<string, number[]>} Submission timestamps
+ */
+function loadSubmissions() {
+  try {
+    return JSON.parse(localStorage.getItem(PROTECTION_CONFIG.RATE_LIMIT.STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Returns a form's submissions within the rate limit window
+ * @param {HTMLFormElement} form - Form element
+ * @returns {number[]} Submission timestamps, oldest first
+ */
+function getRecentSubmissions(form) {
+  const since = Date.now() - PROTECTION_CONFIG.RATE_LIMIT.WINDOW;
+  const times = loadSubmissions()[getFormName(form)];
+  return Array.isArray(times) ? times.filter((time) => time > since) : [];
+}
+
+/**
+ * Records a successful submission for the rate limit
+ * @param {HTMLFormElement} form - Form element
+ */
+function recordSubmission(form) {
+  const submissions = loadSubmissions();
+  submissions[getFormName(form)] = [...getRecentSubmissions(form), Date.now()];
+
+  try {
+    localStorage.setItem(PROTECTION_CONFIG.RATE_LIMIT.STORAGE_KEY, JSON.stringify(submissions));
+  } catch (error) {
+    // localStorage might be unavailable; the rate limit then does not apply
+  }
+}
+
+/**
+ * Solves a proof-of-work challenge in a Web Worker, or on the main thread
+ * where workers are unavailable. Gives up after the configured timeout,
+ * stopping the worker so it does not keep hashing.
+ * @param {string} challenge - Challenge string
+ * @returns {Promise<number|null>} Nonce, or null on timeout
+ */
+function solveInWorker(challenge) {
+  const { DIFFICULTY, TIMEOUT } = PROTECTION_CONFIG.PROOF;
+
+  if (typeof Worker === 'undefined') {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT);
+    return solveChallenge(challenge, DIFFICULTY, controller.signal)
+      .catch((error) => {
+        if (controller.signal.aborted) return null;
+        throw error;
+      })
+      .finally(() => clearTimeout(timer));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./proof-of-work.worker.js', import.meta.url), {
+      type: 'module',
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      resolve(null);
+    }, TIMEOUT);
+    const settle = (callback) => {
+      clearTimeout(timer);
+      worker.terminate();
+      callback();
+    };
+
+    worker.addEventListener('message', (event) => {
+      settle(() =>
+        event.data.error ? reject(new Error(event.data.error)) : resolve(event.data.nonce)
+      );
+    });
+    worker.addEventListener('error', (event) => {
+      settle(() => reject(new Error(event.message || 'Proof-of-work worker failed')));
+    });
+
+    worker.postMessage({ challenge, difficulty: DIFFICULTY });
+  });
+}
+
+/**
+ * Solves a proof of work for the form's current fields
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Promise<string|null>} Token, or null if it could not be computed in time
+ */
+async function solveProof(form) {
+  const formData = new FormData(form);
+  formData.delete(PROTECTION_CONFIG.HONEYPOT_NAME);
+  formData.delete(PROTECTION_CONFIG.PROOF.FIELD);
+
+  const fields = Array.from(formData.entries(), ([name, value]) => [
+    name,
+    typeof value === 'string' ? value : value.name,
+  ]);
+
+  try {
+    const challenge = await createChallenge(fields);
+    const nonce = await solveInWorker(challenge);
+    return nonce === null ? null : `${challenge}:${nonce}`;
+  } catch (error) {
+    console.warn('Proof of work unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Enables protection for a form
+ * @param {HTMLFormElement} form - Form element
+ */
+function protectForm(form) {
+  if (formStates.has(form)) return;
+
+  formStates.set(form, { shownAt: Date.now(), proof: null });
+  addHoneypot(form);
+}
+
+/**
+ * Checks a submission against the honeypot, timing and rate limit
+ * @param {HTMLFormElement} form - Form element
+ * @returns {{verdict: string, retryAfter: number}} One of SUBMISSION_VERDICT,
+ *   and the milliseconds until the rate limit allows another submission
+ */
+function checkSubmission(form) {
+  const state = formStates.get(form);
+  if (!state) {
+    return { verdict: SUBMISSION_VERDICT.ALLOWED, retryAfter: 0 };
+  }
+
+  const honeypot = form.elements.namedItem(PROTECTION_CONFIG.HONEYPOT_NAME);
+  const tooFast = Date.now() - state.shownAt < PROTECTION_CONFIG.MIN_SUBMIT_TIME;
+  if (honeypot?.value || tooFast) {
+    return { verdict: SUBMISSION_VERDICT.BOT, retryAfter: 0 };
+  }
+
+  const { MAX_SUBMISSIONS, WINDOW } = PROTECTION_CONFIG.RATE_LIMIT;
+  const recent = getRecentSubmissions(form);
+  if (recent.length >= MAX_SUBMISSIONS) {
+    const oldest = recent[recent.length - MAX_SUBMISSIONS];
+    return { verdict: SUBMISSION_VERDICT.RATE_LIMITED, retryAfter: oldest + WINDOW - Date.now() };
+  }
+
+  return { verdict: SUBMISSION_VERDICT.ALLOWED, retryAfter: 0 };
+}
+
+/**
+ * Returns the fields protection adds to a submission's payload. Each
+ * submission solves a fresh token for its own fields; calls made while one
+ * is being solved share it.
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Promise<Object<string, string>>} Extra payload fields
+ */
+async function getProtectionFields(form) {
+  const state = formStates.get(form);
+  if (!state) return {};
+
+  if (!state.proof) {
+    state.proof = solveProof(form).finally(() => {
+      state.proof = null;
+    });
+  }
+
+  const token = await state.proof;
+  return token ? { [PROTECTION_CONFIG.PROOF.FIELD]: token } : {};
+}
+
+export {
+  protectForm,
+  checkSubmission,
+  recordSubmission,
+  getProtectionFields,
+  PROTECTION_CONFIG,
+  SUBMISSION_VERDICT,
+};
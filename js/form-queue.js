@@ -0,0 +1,266 @@
+/**
+ * Form Queue Module
+ * Keeps form submissions that failed for lack of a network in IndexedDB and
+ * sends them once the visitor is back online: through Background Sync in
+ * the service worker (src/sw.js) where supported, otherwise on the page's `online` event and on
+ * the next page load.
+ *
+ * Identical submissions share one entry, and every delivery carries the
+ * entry id as `Idempotency-Key`, so the server can drop a submission that both
+ * the page and the service worker delivered. Entries expire after a day, and
+ * carry their queue time as `Queued-At` so the server still accepts their
+ * proof-of-work token, see js/proof-of-work.js.
+ *
+ * @module form-queue
+ * @dependencies: []
+ */
+
+/**
+ * Queue settings. src/sw.js repeats the database, store and tag names.
+ */
+const QUEUE_CONFIG = Object.freeze({
+  DB_NAME: 'form-queue',
+  DB_VERSION: 1,
+  STORE: 'submissions',
+  SYNC_TAG: 'form-queue',
+  TTL: 24 * 60 * 60 * 1000,
+  // Header carrying `queuedAt`, which the server checks the token's age against
+  QUEUED_AT_HEADER: 'Queued-At',
+  // Message posted by the service worker after delivering entries
+  SENT_MESSAGE: 'form-queue:sent',
+});
+
+/**
+ * Queued submission
+ * @typedef {Object} QueuedSubmission
+ * @property {string} id - Hash of the form name, URL and fields, used for deduplication
+ * @property {string} formName - Name of the submitted form
+ * @property {string} url - Request URL
+ * @property {string} method - Request method
+ * @property {Object<string, string>} headers - Request headers
+ * @property {string} body - Serialized request body
+ * @property {number} createdAt - Epoch milliseconds when first queued
+ * @property {number} queuedAt - Epoch milliseconds when the current body was queued
+ * @property {number} expiresAt - Epoch milliseconds after which it is discarded
+ */
+
+/**
+ * Open database connection
+ * @type {Promise<IDBDatabase>|null}
+ */
+let dbPromise = null;
+
+/**
+ * Flush in progress, shared by overlapping triggers
+ * @type {Promise<QueuedSubmission[]>|null}
+ */
+let flushing = null;
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the queue database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    const request = indexedDB.open(QUEUE_CONFIG.DB_NAME, QUEUE_CONFIG.DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(QUEUE_CONFIG.STORE, { keyPath: 'id' });
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs a request against the queue store
+ * @param {string} mode - `readonly` or `readwrite`
+ * @param {Function} operation - Receives the store and returns a request
+ * @returns {Promise<*>} Request result
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  const store = db.transaction(QUEUE_CONFIG.STORE, mode).objectStore(QUEUE_CONFIG.STORE);
+  return promisify(operation(store));
+}
+
+/**
+ * Hashes a string with 32-bit FNV-1a
+ * @param {string} value - String to hash
+ * @returns {string} Hash in base 36
+ */
+function hash(value) {
+  let result = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    result ^= value.charCodeAt(i);
+    result = Math.imul(result, 0x01000193);
+  }
+  return (result >>> 0).toString(36);
+}
+
+/**
+ * Whether the browser can queue submissions
+ * @returns {boolean}
+ */
+function isQueueSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Asks the service worker to deliver the queue when the network returns
+ * @returns {Promise<boolean>} Whether Background Sync was registered
+ */
+async function requestBackgroundSync() {
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (!registration?.sync) return false;
+
+    await registration.sync.register(QUEUE_CONFIG.SYNC_TAG);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Queues a submission. Submitting the same fields again replaces the entry
+ * instead of adding another one.
+ * @param {Object} submission - Submission to queue
+ * @param {string} submission.formName - Name of the submitted form
+ * @param {string} submission.url - Request URL
+ * @param {string} submission.method - Request method
+ * @param {Object<string, string>} submission.headers - Request headers
+ * @param {string} submission.body - Serialized request body
+ * @param {string} submission.fingerprint - The form's fields, without one-off tokens
+ * @returns {Promise<QueuedSubmission>} Queued entry
+ */
+async function enqueueSubmission({ formName, url, method, headers, body, fingerprint }) {
+  const id = hash(`${formName}|${url}|${fingerprint}`);
+  const existing = await withStore('readonly', (store) => store.get(id));
+  const now = Date.now();
+
+  const entry = {
+    id,
+    formName,
+    url,
+    method,
+    headers,
+    body,
+    createdAt: existing?.createdAt ?? now,
+    queuedAt: now,
+    expiresAt: now + QUEUE_CONFIG.TTL,
+  };
+
+  await withStore('readwrite', (store) => store.put(entry));
+  await requestBackgroundSync();
+  return entry;
+}
+
+/**
+ * Sends every queued submission, oldest first, and removes delivered and
+ * expired entries. Stops at the first network error.
+ * @returns {Promise<QueuedSubmission[]>} Delivered entries
+ */
+function flushQueue() {
+  if (!isQueueSupported()) return Promise.resolve([]);
+
+  if (!flushing) {
+    flushing = deliverEntries().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+/**
+ * Delivers the stored entries, see {@link flushQueue}
+ * @returns {Promise<QueuedSubmission[]>} Delivered entries
+ */
+async function deliverEntries() {
+  const entries = await withStore('readonly', (store) => store.getAll());
+  const delivered = [];
+
+  entries.sort((a, b) => a.createdAt - b.createdAt);
+
+  for (const entry of entries) {
+    if (entry.expiresAt <= Date.now()) {
+      await withStore('readwrite', (store) => store.delete(entry.id));
+      continue;
+    }
+
+    let response;
+    try {
+      response = await fetch(entry.url, {
+        method: entry.method,
+        headers: {
+          ...entry.headers,
+          'Idempotency-Key': entry.id,
+          [QUEUE_CONFIG.QUEUED_AT_HEADER]: String(entry.queuedAt),
+        },
+        body: entry.body,
+      });
+    } catch (error) {
+      break;
+    }
+
+    // Server errors may pass; client errors will not, so the entry is dropped
+    if (response.status >= 500) continue;
+
+    await withStore('readwrite', (store) => store.delete(entry.id));
+    if (response.ok) {
+      delivered.push(entry);
+    } else {
+      console.warn(`Queued ${entry.formName} submission rejected with HTTP ${response.status}`);
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Delivers the queue now and whenever the browser comes back online, and
+ * reports deliveries made by the page or the service worker
+ * @param {Function} onSent - Receives each delivered {@link QueuedSubmission}
+ * @returns {Function} Cleanup function
+ */
+function initFormQueue(onSent) {
+  if (!isQueueSupported()) {
+    return () => {};
+  }
+
+  const flush = () =>
+    flushQueue()
+      .then((delivered) => delivered.forEach(onSent))
+      .catch((error) => console.warn('Form queue flush failed:', error));
+
+  const handleMessage = (event) => {
+    if (event.data?.type === QUEUE_CONFIG.SENT_MESSAGE) {
+      event.data.entries.forEach(onSent);
+    }
+  };
+
+  window.addEventListener('online', flush);
+  navigator.serviceWorker?.addEventListener('message', handleMessage);
+  flush();
+
+  return () => {
+    window.removeEventListener('online', flush);
+    navigator.serviceWorker?.removeEventListener('message', handleMessage);
+  };
+}
+
+export { initFormQueue, enqueueSubmission, flushQueue, isQueueSupported, QUEUE_CONFIG };
@@ -5,9 +5,21 @@
  * @module forms
  * @generated-from: task-id:TASK-008
  * @modifies: N/A (new file)
- * @dependencies: []
+ * @dependencies: [analytics, i18n, form-protection, form-queue]
  */
 
+import { track } from '../src/js/analytics.js';
+import { t, format, hasMessage } from '../src/js/i18n.js';
+import {
+  protectForm,
+  checkSubmission,
+  recordSubmission,
+  getProtectionFields,
+  PROTECTION_CONFIG,
+  SUBMISSION_VERDICT,
+} from './form-protection.js';
+import { initFormQueue, enqueueSubmission, isQueueSupported } from './form-queue.js';
+
 /**
  * Email validation regex pattern
  * RFC 5322 compliant with practical constraints
@@ -15,16 +27,47 @@
 const EMAIL_REGEX = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
 
 /**
- * Validation error messages
+ * Maximum email address length (RFC 5321)
+ */
+const EMAIL_MAX_LENGTH = 254;
+
+/**
+ * Validation error message keys, see src/locales
  */
 const ERROR_MESSAGES = Object.freeze({
-  EMAIL_REQUIRED: 'Email address is required',
-  EMAIL_INVALID: 'Please enter a valid email address',
-  EMAIL_TOO_LONG: 'Email address is too long (maximum 254 characters)',
-  GENERIC_REQUIRED: 'This field is required',
-  GENERIC_INVALID: 'Please enter a valid value',
+  EMAIL_REQUIRED: 'forms.errors.emailRequired',
+  EMAIL_INVALID: 'forms.errors.emailInvalid',
+  EMAIL_TOO_LONG: 'forms.errors.emailTooLong',
+  GENERIC_REQUIRED: 'forms.errors.required',
+  GENERIC_INVALID: 'forms.errors.invalid',
+  CHOICE_REQUIRED: 'forms.errors.choiceRequired',
+  MIN_LENGTH: 'forms.errors.minLength',
+  MAX_LENGTH: 'forms.errors.maxLength',
+  PATTERN: 'forms.errors.pattern',
+  MATCH: 'forms.errors.match',
+  SUBMIT_INVALID: 'forms.errors.submitInvalid',
+  SUBMIT_TIMEOUT: 'forms.errors.submitTimeout',
+  SUBMIT_NETWORK: 'forms.errors.submitNetwork',
+  SUBMIT_FAILED: 'forms.errors.submitFailed',
+  SUBMIT_RATE_LIMITED: 'forms.errors.rateLimited',
 });
 
+/**
+ * Status message keys for form feedback, see src/locales
+ */
+const STATUS_MESSAGES = Object.freeze({
+  SUCCESS: 'forms.status.success',
+  QUEUED: 'forms.status.queued',
+  QUEUED_SENT: 'forms.status.queuedSent',
+  SUBMITTING: 'forms.submitting',
+  SUBMIT: 'forms.submit',
+});
+
+/**
+ * Fields handled by validation; the honeypot added by form-protection.js is not one
+ */
+const FIELD_SELECTOR = 'input:not([data-honeypot]):not([type="hidden"]), textarea, select';
+
 /**
  * Validation states
  */
@@ -35,6 +78,120 @@ const VALIDATION_STATE = Object.freeze({
   INVALID: 'invalid',
 });
 
+/**
+ * Submission settings
+ */
+const SUBMIT_CONFIG = Object.freeze({
+  TIMEOUT: 10000,
+  // Retries after network errors; HTTP errors and timeouts are not retried
+  MAX_RETRIES: 2,
+  RETRY_BASE_DELAY: 1000,
+  // Forms with `data-encoding="json"` send JSON instead of form-encoded data
+  JSON_ENCODING: 'json',
+  VALIDATION_STATUS: 422,
+});
+
+/**
+ * Events dispatched on a form after a submission. `forms:submitted` has
+ * `{ queued }` in its detail; `forms:failed` has `{ error, fieldErrors }`.
+ */
+const FORM_EVENTS = Object.freeze({
+  SUBMITTED: 'forms:submitted',
+  FAILED: 'forms:failed',
+});
+
+/**
+ * Analytics event tracked after a successful submission
+ */
+const SUBMIT_EVENT = Object.freeze({
+  NAME: 'form_submit',
+  CATEGORY: 'forms',
+});
+
+/**
+ * Pending auto-hide timer of each form's feedback message
+ * @type {WeakMap<HTMLFormElement, number>}
+ */
+const feedbackTimers = new WeakMap();
+
+/**
+ * Forms with a submission in progress, from validation until the outcome is shown
+ * @type {WeakSet<HTMLFormElement>}
+ */
+const submittingForms = new WeakSet();
+
+/**
+ * Error raised for a non-successful submission response
+ */
+class FormSubmitError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {Object<string, string>} [fieldErrors] - Error per field name, from a 422 response
+   */
+  constructor(status, fieldErrors = {}) {
+    super(`Form submission responded with HTTP ${status}`);
+    this.name = 'FormSubmitError';
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Validation rule
+ * @typedef {Object} ValidationRule
+ * @property {Function} validate - Receives the value, the `data-<name>` attribute
+ *   value and the field; returns a boolean or a promise of one
+ * @property {string} message - Default error message or message key, `{param}` is the
+ *   attribute value
+ */
+
+/**
+ * Rules by name, checked in registration order after `required` and email
+ * format. A rule applies to fields with a `data-<name>` attribute.
+ * @type {Map<string, ValidationRule>}
+ */
+const validationRules = new Map([
+  [
+    'minlength',
+    {
+      validate: (value, param) => value.trim().length >= Number(param),
+      message: ERROR_MESSAGES.MIN_LENGTH,
+    },
+  ],
+  [
+    'maxlength',
+    {
+      validate: (value, param) => value.trim().length <= Number(param),
+      message: ERROR_MESSAGES.MAX_LENGTH,
+    },
+  ],
+  [
+    'pattern',
+    {
+      // Anchored like the native pattern attribute
+      validate: (value, param) => new RegExp(`^(?:${param})$`, 'u').test(value),
+      message: ERROR_MESSAGES.PATTERN,
+    },
+  ],
+  [
+    'match',
+    {
+      // The selector is looked up within the field's form first
+      validate: (value, param, field) => {
+        const other = field.form?.querySelector(param) || document.querySelector(param);
+        return !other || value === other.value;
+      },
+      message: ERROR_MESSAGES.MATCH,
+    },
+  ],
+]);
+
+/**
+ * Latest validation run per field, so slow async results cannot overwrite newer ones
+ * @type {WeakMap<HTMLElement, number>}
+ */
+const validationRuns = new WeakMap();
+
 /**
  * Debounce utility for input validation
  * @param {Function} func - Function to debounce
@@ -63,17 +220,17 @@ function validateEmail(email) {
   if (!email || email.trim().length === 0) {
     return {
       valid: false,
-      error: ERROR_MESSAGES.EMAIL_REQUIRED,
+      error: t(ERROR_MESSAGES.EMAIL_REQUIRED),
     };
   }
 
   const trimmedEmail = email.trim();
 
   // Check email length (RFC 5321 maximum)
-  if (trimmedEmail.length > 254) {
+  if (trimmedEmail.length > EMAIL_MAX_LENGTH) {
     return {
       valid: false,
-      error: ERROR_MESSAGES.EMAIL_TOO_LONG,
+      error: t(ERROR_MESSAGES.EMAIL_TOO_LONG, { max: EMAIL_MAX_LENGTH }),
     };
   }
 
@@ -81,7 +238,7 @@ function validateEmail(email) {
   if (!EMAIL_REGEX.test(trimmedEmail)) {
     return {
       valid: false,
-      error: ERROR_MESSAGES.EMAIL_INVALID,
+      error: t(ERROR_MESSAGES.EMAIL_INVALID),
     };
   }
 
@@ -100,7 +257,7 @@ function validateRequired(value) {
   if (!value || value.trim().length === 0) {
     return {
       valid: false,
-      error: ERROR_MESSAGES.GENERIC_REQUIRED,
+      error: t(ERROR_MESSAGES.GENERIC_REQUIRED),
     };
   }
 
@@ -117,7 +274,7 @@ function validateRequired(value) {
  * @param {string|null} errorMessage - Error message to display
  */
 function updateFieldState(field, isValid, errorMessage) {
-  const errorElement = field.parentElement?.querySelector('.form-error');
+  const errorElement = getErrorContainer(field)?.querySelector('.form-error');
   const fieldId = field.id || field.name;
 
   // Update field classes
@@ -141,7 +298,7 @@ function updateFieldState(field, isValid, errorMessage) {
       
       // Link error to field for accessibility
       if (fieldId) {
-        errorElement.id = `${fieldId}-error`;
+        errorElement.id = errorElement.id || `${fieldId}-error`;
         field.setAttribute('aria-describedby', errorElement.id);
       }
     } else {
@@ -153,13 +310,26 @@ function updateFieldState(field, isValid, errorMessage) {
   }
 }
 
+/**
+ * Returns the element holding a field's error message: the field's parent, or
+ * for radios the fieldset grouping them, so the group shares one message
+ * @param {HTMLElement} field - Input field element
+ * @returns {HTMLElement|null} Container element
+ */
+function getErrorContainer(field) {
+  if (field.type === 'radio') {
+    return field.closest('fieldset') || field.parentElement;
+  }
+  return field.parentElement;
+}
+
 /**
  * Creates error message element if it doesn't exist
  * @param {HTMLElement} field - Input field element
  * @returns {HTMLElement} Error message element
  */
 function ensureErrorElement(field) {
-  const parent = field.parentElement;
+  const parent = getErrorContainer(field);
   if (!parent) return null;
 
   let errorElement = parent.querySelector('.form-error');
@@ -175,32 +345,169 @@ function ensureErrorElement(field) {
 }
 
 /**
- * Validates a single form field
- * @param {HTMLElement} field - Input field to validate
+ * Registers a validation rule, or replaces one with the same name. The rule
+ * applies to fields with a `data-<name>` attribute, whose value is passed to
+ * the validator, and its message can be overridden per field with
+ * `data-error-<name>`. Validators may be async, e.g. to ask the server whether
+ * a username is taken; if one throws, the field is treated as valid and the
+ * server has the final say.
+ * @param {string} name - Rule name in kebab-case
+ * @param {Function} validate - Receives the value, the attribute value and the
+ *   field; returns a boolean or a promise of one
+ * @param {Object} [options] - Rule options
+ * @param {string} [options.message] - Default error message or message key, `{param}` is
+ *   the attribute value
+ */
+function registerRule(name, validate, { message = ERROR_MESSAGES.GENERIC_INVALID } = {}) {
+  if (!/^[a-z][a-z0-9-]*$/.test(name) || typeof validate !== 'function') {
+    throw new TypeError(`Invalid validation rule "${name}"`);
+  }
+  validationRules.set(name, { validate, message });
+}
+
+/**
+ * Returns a rule's error message for a field in the current locale. Custom
+ * `data-error-<name>` messages and registered messages may use ICU syntax.
+ * @param {HTMLElement} field - Input field
+ * @param {string} name - Rule name
+ * @param {string} message - Default message or message key
+ * @param {string} [param] - Attribute value substituted for `{param}`
+ * @returns {string} Error message
+ */
+function getErrorMessage(field, name, message, param = '') {
+  const custom = field.getAttribute(`data-error-${name}`);
+  const values = { param };
+
+  if (custom) return format(custom, values);
+  return hasMessage(message) ? t(message, values) : format(message, values);
+}
+
+/**
+ * Validates a required checkbox, or a radio group with a required radio
+ * @param {HTMLInputElement} field - Checkbox or radio
  * @returns {{valid: boolean, error: string|null}} Validation result
  */
-function validateField(field) {
+function validateChoice(field) {
+  const group =
+    field.type === 'radio' && field.form && field.name
+      ? Array.from(field.form.elements).filter(
+          (element) => element.type === 'radio' && element.name === field.name
+        )
+      : [field];
+
+  if (!group.some((element) => element.hasAttribute('required'))) {
+    return { valid: true, error: null };
+  }
+  if (group.some((element) => element.checked)) {
+    return { valid: true, error: null };
+  }
+
+  const message =
+    field.type === 'radio' ? ERROR_MESSAGES.CHOICE_REQUIRED : ERROR_MESSAGES.GENERIC_REQUIRED;
+  return { valid: false, error: getErrorMessage(field, 'required', message) };
+}
+
+/**
+ * Dispatches one of FORM_EVENTS on a form
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} name - Event name
+ * @param {Object} detail - Event detail
+ */
+function dispatchFormEvent(form, name, detail) {
+  form.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+}
+
+/**
+ * Validates a single form field: `required`, email format, then every rule
+ * declared on the field. The first failure wins. Empty optional fields pass.
+ * @param {HTMLElement} field - Input field to validate
+ * @returns {Promise<{valid: boolean, error: string|null}>} Validation result
+ */
+async function validateField(field) {
   const fieldType = field.type?.toLowerCase();
   const fieldValue = field.value;
-  const isRequired = field.hasAttribute('required');
 
-  // Email field validation
+  if (fieldType === 'checkbox' || fieldType === 'radio') {
+    return validateChoice(field);
+  }
+
+  if (field.hasAttribute('required')) {
+    const required = validateRequired(fieldValue);
+    if (!required.valid) {
+      const message = fieldType === 'email' ? ERROR_MESSAGES.EMAIL_REQUIRED : required.error;
+      return { valid: false, error: getErrorMessage(field, 'required', message) };
+    }
+  } else if (!fieldValue || fieldValue.trim().length === 0) {
+    return { valid: true, error: null };
+  }
+
   if (fieldType === 'email') {
-    return validateEmail(fieldValue);
+    const email = validateEmail(fieldValue);
+    if (!email.valid) {
+      return { valid: false, error: getErrorMessage(field, 'email', email.error) };
+    }
   }
 
-  // Required field validation
-  if (isRequired) {
-    return validateRequired(fieldValue);
+  for (const [name, rule] of validationRules) {
+    const param = field.getAttribute(`data-${name}`);
+    if (param === null) continue;
+
+    let valid;
+    try {
+      valid = await rule.validate(fieldValue, param, field);
+    } catch (error) {
+      console.warn(`Validation rule "${name}" failed:`, error);
+      valid = true;
+    }
+
+    if (!valid) {
+      return { valid: false, error: getErrorMessage(field, name, rule.message, param) };
+    }
   }
 
-  // Field is optional and has no specific validation
   return {
     valid: true,
     error: null,
   };
 }
 
+/**
+ * Validates a field and shows the result, unless a newer run for the same
+ * field finished first
+ * @param {HTMLElement} field - Input field to validate
+ * @returns {Promise<{valid: boolean, error: string|null}>} Validation result
+ */
+async function runFieldValidation(field) {
+  const run = (validationRuns.get(field) || 0) + 1;
+  validationRuns.set(field, run);
+
+  field.dataset.validationState = VALIDATION_STATE.VALIDATING;
+  field.setAttribute('aria-busy', 'true');
+
+  const result = await validateField(field);
+
+  if (validationRuns.get(field) === run) {
+    const state = result.valid ? VALIDATION_STATE.VALID : VALIDATION_STATE.INVALID;
+    field.dataset.validationState = state;
+    field.removeAttribute('aria-busy');
+    updateFieldState(field, result.valid, result.error);
+  }
+
+  return result;
+}
+
+/**
+ * Re-validates touched fields whose `data-match` refers to a changed field
+ * @param {HTMLElement} field - Changed field
+ */
+function revalidateMatchingFields(field) {
+  field.form?.querySelectorAll('[data-match]').forEach((other) => {
+    if (other !== field && other.dataset.touched && field.matches(other.dataset.match)) {
+      runFieldValidation(other);
+    }
+  });
+}
+
 /**
  * Handles real-time field validation on input
  * @param {Event} event - Input event
@@ -213,8 +520,8 @@ function handleFieldInput(event) {
     return;
   }
 
-  const result = validateField(field);
-  updateFieldState(field, result.valid, result.error);
+  runFieldValidation(field);
+  revalidateMatchingFields(field);
 }
 
 /**
@@ -228,33 +535,34 @@ function handleFieldBlur(event) {
   field.dataset.touched = 'true';
   
   // Validate on blur
-  const result = validateField(field);
-  updateFieldState(field, result.valid, result.error);
+  runFieldValidation(field);
 }
 
 /**
- * Validates entire form
- * @param {HTMLFormElement} form - Form element to validate
- * @returns {{valid: boolean, errors: Object}} Validation result
+ * Validates entire form, or the fields of one part of it such as a fieldset
+ * @param {HTMLFormElement|HTMLElement} form - Form or container to validate
+ * @returns {Promise<{valid: boolean, errors: Object}>} Validation result
  */
-function validateForm(form) {
-  const fields = form.querySelectorAll('input, textarea, select');
+async function validateForm(form) {
+  const fields = Array.from(form.querySelectorAll(FIELD_SELECTOR));
   const errors = {};
   let isValid = true;
 
+  // Mark all fields as touched
   fields.forEach((field) => {
-    // Mark all fields as touched
     field.dataset.touched = 'true';
-    
-    const result = validateField(field);
+  });
+
+  const results = await Promise.all(fields.map(runFieldValidation));
+
+  results.forEach((result, index) => {
+    const field = fields[index];
     const fieldName = field.name || field.id;
 
     if (!result.valid) {
       isValid = false;
       errors[fieldName] = result.error;
     }
-
-    updateFieldState(field, result.valid, result.error);
   });
 
   return {
@@ -264,20 +572,165 @@ function validateForm(form) {
 }
 
 /**
- * Handles form submission
- * @param {Event} event - Submit event
+ * Wait for specified duration
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
  */
-function handleFormSubmit(event) {
-  event.preventDefault();
-  
-  const form = event.target;
-  const submitButton = form.querySelector('button[type="submit"]');
-  
-  // Validate form
-  const validation = validateForm(form);
-  
-  if (!validation.valid) {
-    // Focus first invalid field
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Submission request
+ * @typedef {Object} FormRequest
+ * @property {string} url - The form's action
+ * @property {string} method - The form's method, POST by default
+ * @property {Object<string, string>} headers - Request headers
+ * @property {string} body - JSON or form-encoded fields
+ */
+
+/**
+ * Returns the name a form is tracked and queued under
+ * @param {HTMLFormElement} form - Form element
+ * @returns {string} Form name
+ */
+function getFormName(form) {
+  return form.dataset.formName || form.id || 'form';
+}
+
+/**
+ * Builds the request for a form's action, method and fields. The body is a
+ * string so the same request can be stored in the offline queue.
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object<string, string>} [extraFields] - Fields added to the payload
+ * @returns {FormRequest} Request
+ */
+function buildRequest(form, extraFields = {}) {
+  const formData = new FormData(form);
+  formData.delete(PROTECTION_CONFIG.HONEYPOT_NAME);
+  Object.entries(extraFields).forEach(([name, value]) => formData.set(name, value));
+
+  const url = form.getAttribute('action') || window.location.href;
+  const method = (form.getAttribute('method') || 'POST').toUpperCase();
+
+  if (form.dataset.encoding === SUBMIT_CONFIG.JSON_ENCODING) {
+    return {
+      url,
+      method,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(Object.fromEntries(formData.entries())),
+    };
+  }
+
+  return {
+    url,
+    method,
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+      Accept: 'application/json',
+    },
+    body: new URLSearchParams(formData).toString(),
+  };
+}
+
+/**
+ * Reads per-field errors from a 422 response body shaped like
+ * `{ "errors": { "email": "Already registered" } }`. A field may also list
+ * several messages, of which the first is shown.
+ * @param {Response} response - Validation error response
+ * @returns {Promise<Object<string, string>>} Error message per field name
+ */
+async function readFieldErrors(response) {
+  try {
+    const { errors } = await response.json();
+    const fieldErrors = {};
+
+    Object.entries(errors || {}).forEach(([name, messages]) => {
+      const message = Array.isArray(messages) ? messages[0] : messages;
+      if (typeof message === 'string' && message) {
+        fieldErrors[name] = message;
+      }
+    });
+
+    return fieldErrors;
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Sends a request built by {@link buildRequest}, aborting each attempt after
+ * SUBMIT_CONFIG.TIMEOUT and retrying network errors with exponential backoff
+ * @param {FormRequest} request - Request
+ * @returns {Promise<Response>} Successful response
+ * @throws {FormSubmitError|Error} HTTP error, timeout, or the last network error
+ */
+async function sendForm({ url, method, headers, body }) {
+  let attempts = 0;
+
+  for (;;) {
+    attempts += 1;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), SUBMIT_CONFIG.TIMEOUT);
+
+    try {
+      const response = await fetch(url, { method, body, headers, signal: controller.signal });
+
+      if (!response.ok) {
+        const isValidationError = response.status === SUBMIT_CONFIG.VALIDATION_STATUS;
+        const fieldErrors = isValidationError ? await readFieldErrors(response) : {};
+        throw new FormSubmitError(response.status, fieldErrors);
+      }
+
+      return response;
+    } catch (error) {
+      // fetch rejects with a TypeError when the request never reached the server
+      if (!(error instanceof TypeError) || attempts > SUBMIT_CONFIG.MAX_RETRIES) {
+        throw error;
+      }
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    await delay(SUBMIT_CONFIG.RETRY_BASE_DELAY * Math.pow(2, attempts - 1));
+  }
+}
+
+/**
+ * Shows per-field server errors on their fields
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object<string, string>} fieldErrors - Error message per field name
+ * @returns {string[]} Messages for fields the form does not have
+ */
+function applyFieldErrors(form, fieldErrors) {
+  const unmatched = [];
+
+  Object.entries(fieldErrors).forEach(([name, message]) => {
+    const field = form.elements.namedItem(name);
+
+    if (field instanceof HTMLElement) {
+      updateFieldState(field, false, message);
+    } else {
+      unmatched.push(message);
+    }
+  });
+
+  return unmatched;
+}
+
+/**
+ * Shows why a submission failed: server validation errors on their fields,
+ * anything else as form feedback
+ * @param {HTMLFormElement} form - Form element
+ * @param {Error} error - Submission error
+ */
+function showSubmitError(form, error) {
+  const fieldErrors = error instanceof FormSubmitError ? error.fieldErrors : {};
+
+  if (Object.keys(fieldErrors).length > 0) {
+    const unmatched = applyFieldErrors(form, fieldErrors);
+    showFormFeedback(form, 'error', [t(ERROR_MESSAGES.SUBMIT_INVALID), ...unmatched].join(' '));
+
     const firstInvalidField = form.querySelector('.error');
     if (firstInvalidField) {
       firstInvalidField.focus();
@@ -285,48 +738,200 @@ function handleFormSubmit(event) {
     return;
   }
 
-  // Disable submit button to prevent double submission
+  if (error.name === 'AbortError') {
+    showFormFeedback(form, 'error', t(ERROR_MESSAGES.SUBMIT_TIMEOUT));
+  } else if (error instanceof TypeError) {
+    showFormFeedback(form, 'error', t(ERROR_MESSAGES.SUBMIT_NETWORK));
+  } else {
+    showFormFeedback(form, 'error', t(ERROR_MESSAGES.SUBMIT_FAILED));
+  }
+}
+
+/**
+ * Stores a submission in the offline queue and tells the visitor it will be
+ * sent later. Identical submissions replace each other in the queue.
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object<string, string>} extraFields - Fields added to the payload
+ */
+async function queueForm(form, extraFields) {
+  const { url, method, headers, body } = buildRequest(form, extraFields);
+
+  await enqueueSubmission({
+    formName: getFormName(form),
+    url,
+    method,
+    headers,
+    body,
+    // One-off protection fields differ between otherwise identical submissions
+    fingerprint: buildRequest(form).body,
+  });
+
+  showFormFeedback(form, 'queued', t(STATUS_MESSAGES.QUEUED));
+  resetForm(form);
+  dispatchFormEvent(form, FORM_EVENTS.SUBMITTED, { queued: true });
+}
+
+/**
+ * Records and tracks a delivered submission
+ * @param {HTMLFormElement} form - Form element
+ */
+function recordDelivery(form) {
+  const formName = getFormName(form);
+
+  recordSubmission(form);
+  track(SUBMIT_EVENT.NAME, {
+    category: SUBMIT_EVENT.CATEGORY,
+    label: formName,
+    form: formName,
+  });
+}
+
+/**
+ * Confirms a queued submission on its form, if the form is on this page
+ * @param {import('./form-queue.js').QueuedSubmission} entry - Delivered entry
+ */
+function handleQueuedDelivery(entry) {
+  document.querySelectorAll('form[data-validate="true"]').forEach((form) => {
+    if (getFormName(form) === entry.formName) {
+      recordDelivery(form);
+      showFormFeedback(form, 'success', t(STATUS_MESSAGES.QUEUED_SENT));
+    }
+  });
+}
+
+/**
+ * Clears the form's values and validation states
+ * @param {HTMLFormElement} form - Form element
+ */
+function resetForm(form) {
+  form.reset();
+
+  const fields = form.querySelectorAll(FIELD_SELECTOR);
+  fields.forEach((field) => {
+    field.classList.remove('valid', 'error');
+    field.removeAttribute('aria-invalid');
+    field.removeAttribute('aria-describedby');
+    field.removeAttribute('aria-busy');
+    delete field.dataset.touched;
+    delete field.dataset.validationState;
+  });
+}
+
+/**
+ * Sends a validated form, or queues it while offline, and reports the outcome
+ * @param {HTMLFormElement} form - Form element
+ * @param {HTMLButtonElement|null} submitButton - Submit button, disabled by the caller
+ */
+async function submitForm(form, submitButton) {
   if (submitButton) {
-    submitButton.disabled = true;
     submitButton.dataset.originalText = submitButton.textContent;
-    submitButton.textContent = 'Submitting...';
+    submitButton.textContent = t(STATUS_MESSAGES.SUBMITTING);
   }
 
-  // Get form data
-  const formData = new FormData(form);
-  const data = Object.fromEntries(formData.entries());
+  try {
+    const extraFields = await getProtectionFields(form);
+    // Forms with `data-queue="false"` (e.g. ones with passwords) are never stored
+    const canQueue = isQueueSupported() && form.dataset.queue !== 'false';
+
+    if (canQueue && navigator.onLine === false) {
+      await queueForm(form, extraFields);
+      return;
+    }
+
+    try {
+      await sendForm(buildRequest(form, extraFields));
+    } catch (error) {
+      // fetch rejects with a TypeError when the request never reached the server
+      if (!canQueue || !(error instanceof TypeError)) {
+        throw error;
+      }
+      await queueForm(form, extraFields);
+      return;
+    }
+
+    recordDelivery(form);
 
-  // Simulate form submission (replace with actual API call)
-  setTimeout(() => {
-    console.log('Form submitted successfully:', data);
-    
     // Show success message
-    showFormFeedback(form, 'success', 'Thank you! Your submission has been received.');
-    
-    // Reset form
-    form.reset();
-    
-    // Clear validation states
-    const fields = form.querySelectorAll('input, textarea, select');
-    fields.forEach((field) => {
-      field.classList.remove('valid', 'error');
-      field.removeAttribute('aria-invalid');
-      field.removeAttribute('aria-describedby');
-      delete field.dataset.touched;
+    showFormFeedback(form, 'success', t(STATUS_MESSAGES.SUCCESS));
+    resetForm(form);
+    dispatchFormEvent(form, FORM_EVENTS.SUBMITTED, { queued: false });
+  } catch (error) {
+    console.error('Form submission failed:', error);
+    showSubmitError(form, error);
+    dispatchFormEvent(form, FORM_EVENTS.FAILED, {
+      error,
+      fieldErrors: error instanceof FormSubmitError ? error.fieldErrors : {},
     });
+  } finally {
+    if (submitButton) {
+      submitButton.textContent = submitButton.dataset.originalText || t(STATUS_MESSAGES.SUBMIT);
+    }
+  }
+}
+
+/**
+ * Handles form submission
+ * @param {Event} event - Submit event
+ */
+async function handleFormSubmit(event) {
+  event.preventDefault();
+  
+  const form = event.target;
+  const submitButton = form.querySelector('button[type="submit"]');
+
+  // Validation can wait on async rules, so the form is locked before it starts
+  // to keep a double click or a second Enter from submitting twice
+  if (submittingForms.has(form)) {
+    return;
+  }
+  submittingForms.add(form);
+  if (submitButton) {
+    submitButton.disabled = true;
+  }
+
+  try {
+    // Validate form
+    const validation = await validateForm(form);
     
+    if (!validation.valid) {
+      // Focus first invalid field
+      const firstInvalidField = form.querySelector('.error');
+      if (firstInvalidField) {
+        firstInvalidField.focus();
+      }
+      return;
+    }
+
+    const { verdict, retryAfter } = checkSubmission(form);
+
+    // Bots get the same answer as people, so they cannot tell they were caught
+    if (verdict === SUBMISSION_VERDICT.BOT) {
+      showFormFeedback(form, 'success', t(STATUS_MESSAGES.SUCCESS));
+      resetForm(form);
+      dispatchFormEvent(form, FORM_EVENTS.SUBMITTED, { queued: false });
+      return;
+    }
+
+    if (verdict === SUBMISSION_VERDICT.RATE_LIMITED) {
+      const minutes = Math.max(1, Math.ceil(retryAfter / 60000));
+      showFormFeedback(form, 'error', t(ERROR_MESSAGES.SUBMIT_RATE_LIMITED, { minutes }));
+      return;
+    }
+
+    await submitForm(form, submitButton);
+  } finally {
+    submittingForms.delete(form);
     // Re-enable submit button
     if (submitButton) {
       submitButton.disabled = false;
-      submitButton.textContent = submitButton.dataset.originalText || 'Submit';
     }
-  }, 1500);
+  }
 }
 
 /**
  * Shows form feedback message
  * @param {HTMLFormElement} form - Form element
- * @param {string} type - Feedback type ('success' or 'error')
+ * @param {string} type - Feedback type ('success', 'queued' or 'error')
  * @param {string} message - Feedback message
  */
 function showFormFeedback(form, type, message) {
@@ -340,15 +945,22 @@ function showFormFeedback(form, type, message) {
 
   feedbackElement.className = `form-feedback form-feedback-${type}`;
   feedbackElement.textContent = message;
-  feedbackElement.setAttribute('role', 'status');
+  // Errors interrupt the screen reader, confirmations wait their turn
+  feedbackElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
   feedbackElement.setAttribute('aria-live', 'polite');
   feedbackElement.style.display = 'block';
 
+  // A newer message must not be hidden by an earlier success message's timer
+  clearTimeout(feedbackTimers.get(form));
+
   // Auto-hide success messages after 5 seconds
   if (type === 'success') {
-    setTimeout(() => {
-      feedbackElement.style.display = 'none';
-    }, 5000);
+    feedbackTimers.set(
+      form,
+      setTimeout(() => {
+        feedbackElement.style.display = 'none';
+      }, 5000)
+    );
   }
 }
 
@@ -357,8 +969,10 @@ function showFormFeedback(form, type, message) {
  * @param {HTMLFormElement} form - Form element to initialize
  */
 function initializeForm(form) {
+  protectForm(form);
+
   // Ensure error elements exist for all fields
-  const fields = form.querySelectorAll('input, textarea, select');
+  const fields = form.querySelectorAll(FIELD_SELECTOR);
   fields.forEach((field) => {
     ensureErrorElement(field);
     
@@ -380,7 +994,8 @@ function initializeForm(form) {
 }
 
 /**
- * Initializes all forms on the page
+ * Initializes all forms on the page and delivers submissions queued offline
+ * @returns {Function} Cleanup function stopping the queue
  */
 function initializeForms() {
   const forms = document.querySelectorAll('form[data-validate="true"]');
@@ -388,6 +1003,8 @@ function initializeForms() {
   forms.forEach((form) => {
     initializeForm(form);
   });
+
+  return initFormQueue(handleQueuedDelivery);
 }
 
 /**
@@ -400,16 +1017,8 @@ const FormValidator = Object.freeze({
   validateRequired,
   validateField,
   validateForm,
+  registerRule,
+  EVENTS: FORM_EVENTS,
 });
 
-// Auto-initialize on DOM ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializeForms);
-} else {
-  initializeForms();
-}
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = FormValidator;
-}
\ No newline at end of file
+export default FormValidator;
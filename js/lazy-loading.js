@@ -46,10 +46,14 @@ class LazyLoader {
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
     this.observer = null;
+    this.mutationObserver = null;
     this.images = new Set();
     this.loadedImages = new WeakMap();
     this.retryAttempts = new WeakMap();
     this.maxRetries = 3;
+    // Images showing a generated placeholder, redrawn when the theme changes
+    this.placeholders = new Set();
+    this.handleThemeChange = this.handleThemeChange.bind(this);
     
     this.init();
   }
@@ -68,6 +72,7 @@ class LazyLoader {
     this.createObserver();
     this.observeImages();
     this.setupMutationObserver();
+    document.addEventListener('theme:change', this.handleThemeChange);
   }
 
   /**
@@ -124,7 +129,7 @@ class LazyLoader {
    * @private
    */
   setupMutationObserver() {
-    const mutationObserver = new MutationObserver((mutations) => {
+    this.mutationObserver = new MutationObserver((mutations) => {
       mutations.forEach((mutation) => {
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType === Node.ELEMENT_NODE) {
@@ -147,7 +152,7 @@ class LazyLoader {
       });
     });
 
-    mutationObserver.observe(document.body, {
+    this.mutationObserver.observe(document.body, {
       childList: true,
       subtree: true,
     });
@@ -164,9 +169,32 @@ class LazyLoader {
     if (!img.src && !img.getAttribute('src')) {
       const placeholder = this.generatePlaceholder(img);
       img.src = placeholder;
+      this.placeholders.add(img);
     }
   }
 
+  /**
+   * Redraw generated placeholders in the new theme's colors
+   * @private
+   */
+  handleThemeChange() {
+    this.placeholders.forEach((img) => {
+      img.src = this.generatePlaceholder(img);
+    });
+  }
+
+  /**
+   * Read a placeholder color from the active theme's custom properties
+   * @private
+   * @param {string} property - Custom property name
+   * @param {string} fallback - Color used when the property is not set
+   * @returns {string}
+   */
+  getPlaceholderColor(property, fallback) {
+    const value = getComputedStyle(document.documentElement).getPropertyValue(property).trim();
+    return value || fallback;
+  }
+
   /**
    * Generate placeholder data URL
    * @private
@@ -176,11 +204,13 @@ class LazyLoader {
   generatePlaceholder(img) {
     const width = img.getAttribute('width') || 100;
     const height = img.getAttribute('height') || 100;
+    const background = this.getPlaceholderColor('--color-placeholder-background', '#f3f4f6');
+    const text = this.getPlaceholderColor('--color-placeholder-text', '#9ca3af');
     
     const svg = `
       <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
-        <rect width="100%" height="100%" fill="#f3f4f6"/>
-        <text x="50%" y="50%" text-anchor="middle" dy=".3em" fill="#9ca3af" font-family="sans-serif" font-size="14">
+        <rect width="100%" height="100%" fill="${background}"/>
+        <text x="50%" y="50%" text-anchor="middle" dy=".3em" fill="${text}" font-family="sans-serif" font-size="14">
           Loading...
         </text>
       </svg>
@@ -200,6 +230,7 @@ class LazyLoader {
     }
 
     this.observer.unobserve(img);
+    this.placeholders.delete(img);
     img.classList.remove(this.config.placeholderClass);
     img.classList.add(this.config.loadingClass);
 
@@ -407,36 +438,28 @@ class LazyLoader {
       this.observer.disconnect();
       this.observer = null;
     }
+
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+
+    document.removeEventListener('theme:change', this.handleThemeChange);
     
     this.images.clear();
+    this.placeholders.clear();
     this.loadedImages = new WeakMap();
     this.retryAttempts = new WeakMap();
   }
 }
 
 /**
- * Initialize lazy loading on DOM ready
+ * Initialize lazy loading
+ * @param {Partial<LazyLoadConfig>} config - Configuration options
+ * @returns {LazyLoader} Lazy loader instance
  */
 function initLazyLoading(config = {}) {
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      return new LazyLoader(config);
-    });
-  } else {
-    return new LazyLoader(config);
-  }
+  return new LazyLoader(config);
 }
 
-/**
- * Export for module usage
- */
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { LazyLoader, initLazyLoading };
-}
-
-/**
- * Auto-initialize if not in module context
- */
-if (typeof window !== 'undefined' && !window.lazyLoader) {
-  window.lazyLoader = initLazyLoading();
-}
\ No newline at end of file
+export { LazyLoader, initLazyLoading };
@@ -6,8 +6,11 @@
  * position, and keyboard navigation support.
  * 
  * @module navigation
+ * @dependencies: [i18n]
  */
 
+import { t } from '../src/js/i18n.js';
+
 /**
  * Navigation state management
  */
@@ -101,7 +104,7 @@ function setupMobileMenu() {
 function createMobileToggle() {
   const button = document.createElement('button');
   button.className = 'nav-toggle';
-  button.setAttribute('aria-label', 'Toggle navigation menu');
+  button.setAttribute('aria-label', t('header.toggleMenu'));
   button.setAttribute('aria-expanded', 'false');
   button.setAttribute('aria-controls', 'nav-menu');
   
@@ -358,11 +361,16 @@ function setupKeyboardNavigation() {
   navLinks.forEach((link, index) => {
     link.addEventListener('keydown', (event) => {
       let targetIndex = -1;
+
+      // The next link sits to the left in right-to-left layouts
+      const isRtl = window.getComputedStyle(navMenu).direction === 'rtl';
+      const nextKey = isRtl ? 'ArrowLeft' : 'ArrowRight';
+      const previousKey = isRtl ? 'ArrowRight' : 'ArrowLeft';
       
-      if (event.key === 'ArrowDown' || event.key === 'ArrowRight') {
+      if (event.key === 'ArrowDown' || event.key === nextKey) {
         event.preventDefault();
         targetIndex = (index + 1) % navLinks.length;
-      } else if (event.key === 'ArrowUp' || event.key === 'ArrowLeft') {
+      } else if (event.key === 'ArrowUp' || event.key === previousKey) {
         event.preventDefault();
         targetIndex = (index - 1 + navLinks.length) % navLinks.length;
       } else if (event.key === 'Home') {
@@ -430,22 +438,9 @@ function announceNavigation(message) {
   }
 }
 
-/**
- * Initialize on DOM ready
- */
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initNavigation);
-} else {
-  initNavigation();
-}
-
-/**
- * Export for module usage
- */
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    initNavigation,
-    closeMobileMenu,
-    openMobileMenu,
-  };
-}
\ No newline at end of file
+export {
+  initNavigation,
+  closeMobileMenu,
+  openMobileMenu,
+  announceNavigation,
+};
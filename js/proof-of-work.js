@@ -0,0 +1,85 @@
+/**
+ * Proof of Work
+ * Hashcash-style puzzle attached to form submissions: find a nonce such that
+ * SHA-256(`${challenge}:${nonce}`) starts with a number of zero bits. Cheap
+ * for one visitor, expensive for a bot posting thousands of forms.
+ *
+ * The challenge is `${timestamp}.${digest}`, where the digest covers the
+ * submitted fields, so a token only fits the payload it was solved for. The
+ * server rebuilds the digest from the fields it received, checks the
+ * timestamp is recent and recomputes one hash to verify the token.
+ *
+ * Submissions delivered from the offline queue (js/form-queue.js) keep the
+ * token solved when they were queued, which may be up to a day old. They carry
+ * `Idempotency-Key` and `Queued-At` (epoch milliseconds when the body was
+ * queued) headers, and the server checks the timestamp against `Queued-At`
+ * instead of the current time, accepts `Queued-At` up to a day old and each
+ * `Idempotency-Key` only once.
+ *
+ * @module proof-of-work
+ * @dependencies: []
+ */
+
+/**
+ * Counts the leading zero bits of a digest
+ * @param {Uint8Array} bytes - Digest
+ * @returns {number} Leading zero bits
+ */
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+
+  return bits;
+}
+
+/**
+ * Hashes text with SHA-256
+ * @param {string} text - Text
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Creates a challenge bound to a payload. Fields are sorted by name and
+ * serialized as JSON `[name, value]` pairs, which the server repeats.
+ * @param {Array<[string, string]>} fields - Submitted fields, without the token
+ * @returns {Promise<string>} Challenge string
+ */
+async function createChallenge(fields) {
+  const sorted = [...fields].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return `${Date.now()}.${await sha256Hex(JSON.stringify(sorted))}`;
+}
+
+/**
+ * Finds the first nonce that solves a challenge
+ * @param {string} challenge - Challenge string
+ * @param {number} difficulty - Required leading zero bits
+ * @param {AbortSignal} [signal] - Stops the search
+ * @returns {Promise<number>} Nonce
+ * @throws {Error} If the search was aborted
+ */
+async function solveChallenge(challenge, difficulty, signal) {
+  const encoder = new TextEncoder();
+
+  for (let nonce = 0; ; nonce++) {
+    if (signal?.aborted) {
+      throw new Error('Proof of work aborted');
+    }
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`));
+    if (countLeadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+      return nonce;
+    }
+  }
+}
+
+export { createChallenge, solveChallenge, countLeadingZeroBits };
@@ -0,0 +1,20 @@
+/**
+ * Proof of Work Worker
+ * Solves a challenge off the main thread. Receives `{ challenge, difficulty }`
+ * and replies with `{ nonce }`, or `{ error }` if hashing is unavailable.
+ *
+ * @module proof-of-work.worker
+ * @dependencies: [proof-of-work]
+ */
+
+import { solveChallenge } from './proof-of-work.js';
+
+self.addEventListener('message', async (event) => {
+  const { challenge, difficulty } = event.data;
+
+  try {
+    self.postMessage({ nonce: await solveChallenge(challenge, difficulty) });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+});
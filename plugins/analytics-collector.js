@@ -0,0 +1,230 @@
+/**
+ * Analytics Collector Plugin
+ * Local stand-in for the first-party analytics endpoint. Adds a middleware to
+ * the dev and preview servers that accepts the batches posted by
+ * src/js/beacon.js and appends each event as one line of NDJSON, so the whole
+ * pipeline can be tested offline. A GET request returns the collected events,
+ * optionally filtered with `?name=`, for dev reports such as the funnel report.
+ *
+ * @module plugins/analytics-collector
+ */
+
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+
+/**
+ * Plugin configuration
+ * @typedef {Object} AnalyticsCollectorOptions
+ * @property {string} [endpoint] - Path the beacon transport posts to
+ * @property {string} [file] - NDJSON output file, relative to the project root
+ * @property {number} [maxBodySize] - Largest accepted request body in bytes
+ */
+
+/**
+ * Default plugin configuration
+ * @type {AnalyticsCollectorOptions}
+ */
+const DEFAULT_OPTIONS = {
+  endpoint: '/api/collect',
+  file: '.analytics/events.ndjson',
+  maxBodySize: 64 * 1024,
+};
+
+/**
+ * Reads the ids of the events already collected, so deliveries repeated
+ * across server restarts are still deduplicated
+ * @param {string} path - NDJSON file
+ * @returns {Promise<Set<string>>} Collected event ids
+ */
+async function readCollectedIds(path) {
+  const ids = new Set();
+
+  try {
+    const contents = await readFile(path, 'utf-8');
+    contents.split('\n').forEach((line) => {
+      try {
+        const { id } = JSON.parse(line);
+        if (id) ids.add(id);
+      } catch (error) {
+        // Skip blank or truncated lines
+      }
+    });
+  } catch (error) {
+    // Nothing collected yet
+  }
+
+  return ids;
+}
+
+/**
+ * Reads the collected events
+ * @param {string} path - NDJSON file
+ * @returns {Promise<Array<Object>>} Collected events, oldest first
+ */
+async function readCollectedEvents(path) {
+  let contents = '';
+  try {
+    contents = await readFile(path, 'utf-8');
+  } catch (error) {
+    return [];
+  }
+
+  return contents.split('\n').flatMap((line) => {
+    try {
+      return line ? [JSON.parse(line)] : [];
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+/**
+ * Reads a request body up to a size limit
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {number} limit - Largest accepted body in bytes
+ * @returns {Promise<string|null>} Body, or null if it exceeds the limit
+ */
+function readBody(req, limit) {
+  return new Promise((resolveBody, rejectBody) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= limit) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      resolveBody(size > limit ? null : Buffer.concat(chunks).toString('utf-8'));
+    });
+    req.on('error', rejectBody);
+  });
+}
+
+/**
+ * Sends an empty response
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} [headers] - Response headers
+ */
+function reply(res, status, headers = {}) {
+  res.writeHead(status, headers);
+  res.end();
+}
+
+/**
+ * Creates the analytics collector plugin
+ * @param {AnalyticsCollectorOptions} [options] - Plugin options
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function analyticsCollector(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let outputPath = '';
+  let collectedIds = null;
+
+  /**
+   * Appends the new events of a batch to the NDJSON file
+   * @param {Array<Object>} events - Received events
+   * @returns {Promise<number>} Number of events written
+   */
+  async function collect(events) {
+    collectedIds = collectedIds || (await readCollectedIds(outputPath));
+
+    const receivedAt = new Date().toISOString();
+    const fresh = events.filter((event) => {
+      if (!event?.id || collectedIds.has(event.id)) return false;
+      collectedIds.add(event.id);
+      return true;
+    });
+
+    if (fresh.length > 0) {
+      await mkdir(dirname(outputPath), { recursive: true });
+      await appendFile(
+        outputPath,
+        fresh.map((event) => `${JSON.stringify({ ...event, receivedAt })}\n`).join('')
+      );
+    }
+
+    return fresh.length;
+  }
+
+  /**
+   * Responds with the collected events as `{ events }`
+   * @param {import('node:http').ServerResponse} res - Response
+   * @param {URLSearchParams} params - Query parameters, `name` filters by event name
+   */
+  async function list(res, params) {
+    const names = params.getAll('name');
+    const events = (await readCollectedEvents(outputPath)).filter(
+      (event) => names.length === 0 || names.includes(event.name)
+    );
+
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ events }));
+  }
+
+  /**
+   * Connect middleware handling the collector endpoint
+   * @param {import('node:http').IncomingMessage} req - Request
+   * @param {import('node:http').ServerResponse} res - Response
+   * @param {Function} next - Passes other requests on
+   */
+  async function middleware(req, res, next) {
+    const [path, query = ''] = req.url.split('?');
+    if (path !== config.endpoint) {
+      next();
+      return;
+    }
+
+    if (req.method === 'GET') {
+      await list(res, new URLSearchParams(query));
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      reply(res, 405, { Allow: 'GET, POST' });
+      return;
+    }
+
+    try {
+      const body = await readBody(req, config.maxBodySize);
+      if (body === null) {
+        reply(res, 413);
+        return;
+      }
+
+      const { events } = JSON.parse(body);
+      if (!Array.isArray(events)) {
+        reply(res, 400);
+        return;
+      }
+
+      const written = await collect(events);
+      console.log(
+        `[analytics-collector] ${written}/${events.length} events written to ${config.file}`
+      );
+      reply(res, 204);
+    } catch (error) {
+      console.warn(`[analytics-collector] Rejected batch: ${error.message}`);
+      reply(res, 400);
+    }
+  }
+
+  return {
+    name: 'analytics-collector',
+    apply: 'serve',
+
+    configResolved(resolvedConfig) {
+      outputPath = resolve(resolvedConfig.root, config.file);
+    },
+
+    configureServer(server) {
+      server.middlewares.use(middleware);
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware);
+    },
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * I18n Plugin
+ * Checks the message catalogs in src/locales against the locales listed in
+ * site.config.json and the message keys it refers to, adds `hreflang`
+ * alternates to index.html and, on build, emits a copy of the page for every
+ * non-default locale under its prefix (e.g. `es/index.html`) with a localized
+ * title, description, URLs and writing direction, so crawlers and link
+ * previews see each language without running scripts.
+ *
+ * @module plugins/i18n
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { getPath } from '../src/js/template.js';
+import { formatMessage } from '../src/js/message-format.js';
+
+/**
+ * Default plugin configuration
+ */
+const DEFAULT_OPTIONS = {
+  config: 'site.config.json',
+  dir: 'src/locales',
+  sourceLocale: 'en',
+};
+
+/**
+ * Head tags localized in each emitted page, as [pattern, message key or field]
+ * Each pattern captures everything up to the value it replaces.
+ */
+const HEAD_TAGS = [
+  [/(<title>)[^<]*/, 'meta.title'],
+  [/(<meta\s+name="description"\s+content=")[^"]*/, 'meta.description'],
+  [/(<meta\s+property="og:title"\s+content=")[^"]*/, 'meta.title'],
+  [/(<meta\s+property="og:description"\s+content=")[^"]*/, 'meta.description'],
+  [/(<meta\s+property="og:url"\s+content=")[^"]*/, 'url'],
+  [/(<link\s+rel="canonical"\s+href=")[^"]*/, 'url'],
+  [/(<html\b[^>]*?\slang=")[^"]*/, 'lang'],
+  [/(<html\b[^>]*?\sdir=")[^"]*/, 'dir'],
+];
+
+/**
+ * Escapes text for use in HTML text and attribute values
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Lists the dotted keys of every message in a catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} [prefix] - Key prefix of the catalog
+ * @returns {string[]} Message keys
+ */
+function listKeys(catalog, prefix = '') {
+  return Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === 'object' && value !== null
+      ? listKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  );
+}
+
+/**
+ * Lists the message keys site.config.json refers to: the copy of pricing
+ * plans, comparison rows and experiment variants
+ * @param {Object} site - Site config
+ * @returns {Array<[string, string]>} Config paths and message keys
+ */
+function listConfigMessages(site) {
+  const plans = Object.entries(site.pricing?.plans || {}).flatMap(([id, plan]) => {
+    const path = `pricing.plans.${id}`;
+    return [
+      [`${path}.name`, plan.name],
+      [`${path}.description`, plan.description],
+      ...(plan.features || []).map((key, index) => [`${path}.features.${index}`, key]),
+      [`${path}.cta.label`, plan.cta?.label],
+      ...(plan.cta?.ariaLabel ? [[`${path}.cta.ariaLabel`, plan.cta.ariaLabel]] : []),
+    ];
+  });
+
+  const comparison = (site.pricing?.comparison || []).flatMap((group, groupIndex) => {
+    const path = `pricing.comparison.${groupIndex}`;
+    return [
+      [`${path}.group`, group.group],
+      ...(group.rows || []).flatMap((row, rowIndex) => [
+        [`${path}.rows.${rowIndex}.feature`, row.feature],
+        // Booleans and numbers are shown as is
+        ...Object.entries(row.values || {})
+          .filter(([, value]) => typeof value === 'string')
+          .map(([planId, key]) => [`${path}.rows.${rowIndex}.values.${planId}`, key]),
+      ]),
+    ];
+  });
+
+  const experiments = Object.entries(site.experiments || {}).flatMap(([id, experiment]) =>
+    Object.entries(experiment.variants || {}).flatMap(([name, variant]) =>
+      Object.entries(variant.changes || {}).flatMap(([section, changes]) =>
+        changes.flatMap((change, index) => {
+          const path = `experiments.${id}.variants.${name}.changes.${section}.${index}`;
+          return [
+            ...(change.message ? [[`${path}.message`, change.message]] : []),
+            ...Object.entries(change.messageAttributes || {}).map(([attribute, key]) => [
+              `${path}.messageAttributes.${attribute}`,
+              key,
+            ]),
+          ];
+        })
+      )
+    )
+  );
+
+  return [...plans, ...comparison, ...experiments];
+}
+
+/**
+ * Creates the i18n plugin
+ * @param {Object} [options]
+ * @param {string} [options.config] - Site config file, relative to the project root
+ * @param {string} [options.dir] - Catalog directory, relative to the project root
+ * @param {string} [options.sourceLocale] - Locale the markup is written in
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function i18n(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  let root = '';
+  let site = null;
+  let catalogs = {};
+
+  // Default locale at the site root, every other locale under its prefix
+  const getLocaleUrl = (locale) =>
+    locale === site.i18n.defaultLocale ? site.url : `${site.url}/${locale}/`;
+
+  const translate = (locale, key) =>
+    formatMessage(
+      getPath(catalogs[locale], key) ?? getPath(catalogs[settings.sourceLocale], key),
+      { brand: site.brand.name },
+      locale
+    );
+
+  return {
+    name: 'i18n',
+
+    configResolved(resolvedConfig) {
+      root = resolvedConfig.root;
+    },
+
+    async buildStart() {
+      const configPath = resolve(root, settings.config);
+      this.addWatchFile(configPath);
+
+      try {
+        site = JSON.parse(await readFile(configPath, 'utf-8'));
+      } catch (error) {
+        this.error(`[i18n] Could not read ${configPath}: ${error.message}`);
+      }
+
+      const locales = [...new Set([settings.sourceLocale, ...Object.keys(site.i18n.locales)])];
+      catalogs = {};
+
+      await Promise.all(
+        locales.map(async (locale) => {
+          const path = resolve(root, settings.dir, `${locale}.json`);
+          this.addWatchFile(path);
+
+          try {
+            catalogs[locale] = JSON.parse(await readFile(path, 'utf-8'));
+          } catch (error) {
+            this.error(`[i18n] Could not read the "${locale}" catalog at ${path}: ${error.message}`);
+          }
+        })
+      );
+
+      // Missing messages fall back to the source locale, so they only warn
+      const sourceKeys = listKeys(catalogs[settings.sourceLocale]);
+
+      const unknown = listConfigMessages(site).filter(([, key]) => !sourceKeys.includes(key));
+      if (unknown.length > 0) {
+        this.error(
+          `[i18n] ${settings.config} refers to unknown messages: ${unknown
+            .map(([path, key]) => `"${key}" at ${path}`)
+            .join(', ')}`
+        );
+      }
+      locales.forEach((locale) => {
+        const keys = new Set(listKeys(catalogs[locale]));
+        const missing = sourceKeys.filter((key) => !keys.has(key));
+        if (missing.length > 0) {
+          this.warn(`[i18n] "${locale}" is missing ${missing.length} message(s): ${missing.join(', ')}`);
+        }
+      });
+    },
+
+    transformIndexHtml() {
+      const locales = Object.keys(site.i18n.locales);
+      const alternates = [
+        ...locales.map((locale) => [locale, getLocaleUrl(locale)]),
+        ['x-default', getLocaleUrl(site.i18n.defaultLocale)],
+      ];
+
+      return alternates.map(([hreflang, href]) => ({
+        tag: 'link',
+        attrs: { rel: 'alternate', hreflang, href },
+        injectTo: 'head',
+      }));
+    },
+
+    generateBundle: {
+      // Runs after Vite has written the built index.html into the bundle
+      order: 'post',
+      handler(outputOptions, bundle) {
+        const page = bundle['index.html'];
+        if (!page) return;
+
+        Object.keys(site.i18n.locales)
+          .filter((locale) => locale !== site.i18n.defaultLocale)
+          .forEach((locale) => {
+            const values = {
+              url: getLocaleUrl(locale),
+              lang: locale,
+              dir: site.i18n.locales[locale].dir || 'ltr',
+            };
+            const html = HEAD_TAGS.reduce((output, [pattern, key]) => {
+              const value = values[key] ?? translate(locale, key);
+              return output.replace(pattern, (match, start) => `${start}${escapeHtml(value)}`);
+            }, String(page.source));
+
+            this.emitFile({ type: 'asset', fileName: `${locale}/index.html`, source: html });
+          });
+      },
+    },
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Inline Components Plugin
+ * Resolves `data-component` slots in index.html with the matching partial from
+ * src/components at build time, so the shipped page contains its markup
+ * without waiting on runtime fetches.
+ *
+ * @module plugins/inline-components
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { resolve } from 'node:path';
+
+/**
+ * Matches an empty slot element such as `<div data-component="pricing"></div>`
+ * Capture groups: 1 - tag name, 2 - component name
+ */
+const SLOT_PATTERN =
+  /<([a-z][\w-]*)\b[^>]*?\sdata-component="([\w-]+)"[^>]*>\s*<\/\1>/gi;
+
+/**
+ * Matches the opening of the first element in a partial, skipping comments
+ */
+const ROOT_TAG_PATTERN = /<[a-z][\w-]*/i;
+
+/**
+ * Plugin configuration
+ * @typedef {Object} InlineComponentsOptions
+ * @property {string} [dir] - Directory containing the partials, relative to the project root
+ * @property {boolean} [runtime] - Leave slots in place and ship the partials for runtime fetching
+ */
+
+/**
+ * Default plugin configuration
+ * @type {InlineComponentsOptions}
+ */
+const DEFAULT_OPTIONS = {
+  dir: 'src/components',
+  runtime: false,
+};
+
+/**
+ * Reads a component partial from disk
+ * @param {string} dir - Absolute components directory
+ * @param {string} name - Component name
+ * @returns {Promise<string>} Partial markup
+ * @throws {Error} If the partial does not exist
+ */
+async function readPartial(dir, name) {
+  const path = resolve(dir, `${name}.html`);
+
+  try {
+    return (await readFile(path, 'utf-8')).trim();
+  } catch (error) {
+    throw new Error(
+      `[inline-components] Component "${name}" not found at ${path}`,
+      { cause: error }
+    );
+  }
+}
+
+/**
+ * Tags the root element of a partial with `data-component-root`, matching what
+ * the runtime loader does, so src/js/components.js can report it as mounted
+ * @param {string} markup - Partial markup
+ * @param {string} name - Component name
+ * @returns {string} Tagged markup
+ */
+function markRoot(markup, name) {
+  return markup.replace(
+    ROOT_TAG_PATTERN,
+    (tag) => `${tag} data-component-root="${name}"`
+  );
+}
+
+/**
+ * Creates the inline components plugin
+ * @param {InlineComponentsOptions} [options] - Plugin options
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function inlineComponents(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  let componentsDir = '';
+
+  return {
+    name: 'inline-components',
+    apply: 'build',
+
+    configResolved(resolvedConfig) {
+      componentsDir = resolve(resolvedConfig.root, config.dir);
+    },
+
+    transformIndexHtml: {
+      order: 'pre',
+      async handler(html) {
+        if (config.runtime) {
+          return html;
+        }
+
+        const slots = Array.from(html.matchAll(SLOT_PATTERN));
+        const partials = await Promise.all(
+          slots.map(async ([, , name]) =>
+            markRoot(await readPartial(componentsDir, name), name)
+          )
+        );
+
+        let index = 0;
+        return html.replace(SLOT_PATTERN, () => partials[index++]);
+      },
+    },
+
+    async generateBundle() {
+      if (!config.runtime) {
+        return;
+      }
+
+      // Runtime loading fetches the partials from the same paths as in dev
+      const files = await readdir(componentsDir);
+
+      await Promise.all(
+        files
+          .filter((file) => file.endsWith('.html'))
+          .map(async (file) => {
+            this.emitFile({
+              type: 'asset',
+              fileName: `${config.dir}/${file}`,
+              source: await readFile(resolve(componentsDir, file), 'utf-8'),
+            });
+          })
+      );
+    },
+  };
+}
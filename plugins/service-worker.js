@@ -0,0 +1,165 @@
+/**
+ * Service Worker Plugin
+ * Builds `sw.js` from src/sw.js on every production build. The precache list
+ * holds every hashed script, stylesheet and asset in the bundle, including
+ * workers that no entry imports, plus the pages, the component partials
+ * shipped for runtime loading, the files of the public directory (such as
+ * flags.json) and the offline fallback page. The worker's version is a hash
+ * of everything it precaches, so each deploy that changes a file bumps it and
+ * retires the previous caches.
+ *
+ * @module plugins/service-worker
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { relative, resolve, sep } from 'node:path';
+
+/**
+ * Plugin configuration
+ * @typedef {Object} ServiceWorkerOptions
+ * @property {string} [src] - Worker source, relative to the project root
+ * @property {string} [fileName] - Emitted worker, relative to the output directory
+ * @property {string} [offlinePage] - Offline fallback page in the public directory
+ * @property {string} [partials] - Output directory of runtime component partials
+ */
+
+/**
+ * Default plugin configuration
+ * @type {ServiceWorkerOptions}
+ */
+const DEFAULT_OPTIONS = {
+  src: 'src/sw.js',
+  fileName: 'sw.js',
+  offlinePage: 'offline.html',
+  partials: 'src/components',
+};
+
+/**
+ * Placeholder in the worker source replaced with the build details
+ */
+const BUILD_PLACEHOLDER = 'self.__SW_BUILD__';
+
+/**
+ * Length of the version hash
+ */
+const VERSION_LENGTH = 10;
+
+/**
+ * Reads every file of the public directory, which Vite copies to the output
+ * without passing it through the bundle
+ * @param {string} publicDir - Absolute public directory
+ * @returns {Promise<Map<string, Buffer>>} Contents per output file name
+ */
+async function readPublicFiles(publicDir) {
+  const files = new Map();
+  let entries = [];
+
+  try {
+    entries = await readdir(publicDir, { recursive: true, withFileTypes: true });
+  } catch (error) {
+    return files;
+  }
+
+  for (const entry of entries.filter((dirent) => dirent.isFile())) {
+    const path = resolve(entry.parentPath ?? entry.path, entry.name);
+    files.set(relative(publicDir, path).split(sep).join('/'), await readFile(path));
+  }
+  return files;
+}
+
+/**
+ * Creates the service worker plugin
+ * @param {ServiceWorkerOptions} [options] - Plugin options
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function serviceWorker(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  let config = null;
+  let source = '';
+  let publicFiles = new Map();
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    async buildStart() {
+      const sourcePath = resolve(config.root, settings.src);
+      this.addWatchFile(sourcePath);
+
+      try {
+        source = await readFile(sourcePath, 'utf-8');
+      } catch (error) {
+        this.error(`[service-worker] Could not read the worker: ${error.message}`);
+      }
+
+      publicFiles = config.publicDir ? await readPublicFiles(config.publicDir) : new Map();
+      if (!publicFiles.has(settings.offlinePage)) {
+        this.error(`[service-worker] ${settings.offlinePage} is not in the public directory`);
+      }
+
+      if (!source.includes(BUILD_PLACEHOLDER)) {
+        this.error(`[service-worker] ${sourcePath} does not reference ${BUILD_PLACEHOLDER}`);
+      }
+    },
+
+    generateBundle: {
+      // Runs after other plugins have added their pages
+      order: 'post',
+      handler(outputOptions, bundle) {
+        const base = config.base.endsWith('/') ? config.base : `${config.base}/`;
+        const fileNames = Object.keys(bundle).sort();
+
+        const partials = fileNames.filter((fileName) =>
+          fileName.startsWith(`${settings.partials}/`)
+        );
+        // Pages are cached under the URL they are visited at, e.g. `/es/`
+        const pages = fileNames.filter(
+          (fileName) => fileName === 'index.html' || fileName.endsWith('/index.html')
+        );
+        // Everything else except source maps and Vite's own metadata is hashed output
+        const assets = fileNames.filter(
+          (fileName) =>
+            !partials.includes(fileName) &&
+            !pages.includes(fileName) &&
+            !fileName.endsWith('.map') &&
+            !fileName.startsWith('.vite/')
+        );
+        // Public files keep their names across deploys, so they are revalidated
+        const publicNames = [...publicFiles.keys()]
+          .filter((fileName) => fileName !== settings.offlinePage)
+          .sort();
+
+        const hash = createHash('sha256').update(source);
+        [...assets, ...partials, ...pages].forEach((fileName) => {
+          const file = bundle[fileName];
+          hash.update(fileName).update(file.type === 'chunk' ? file.code : file.source);
+        });
+        [settings.offlinePage, ...publicNames].forEach((fileName) => {
+          hash.update(fileName).update(publicFiles.get(fileName));
+        });
+
+        const build = {
+          version: hash.digest('hex').slice(0, VERSION_LENGTH),
+          assets: assets.map((fileName) => `${base}${fileName}`),
+          html: [
+            ...pages.map((fileName) => `${base}${fileName.replace(/index\.html$/, '')}`),
+            ...partials.map((fileName) => `${base}${fileName}`),
+            ...publicNames.map((fileName) => `${base}${fileName}`),
+          ],
+          offline: `${base}${settings.offlinePage}`,
+        };
+
+        this.emitFile({
+          type: 'asset',
+          fileName: settings.fileName,
+          source: source.replace(BUILD_PLACEHOLDER, () => JSON.stringify(build, null, 2)),
+        });
+      },
+    },
+  };
+}
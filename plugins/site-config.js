@@ -0,0 +1,266 @@
+/**
+ * Site Config Plugin
+ * Validates site.config.json when a build or dev server starts and renders its
+ * `{{ path }}` placeholders into index.html, including any partials already
+ * inlined by plugins/inline-components.js.
+ *
+ * @module plugins/site-config
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { renderTemplate, getPath } from '../src/js/template.js';
+
+/**
+ * Validators shared by the rules below
+ */
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isAbsoluteUrl = (value) =>
+  isNonEmptyString(value) && /^https?:\/\/[^\s]+[^/]$/.test(value);
+const isSitePath = (value) => isNonEmptyString(value) && value.startsWith('/');
+const isEmail = (value) => isNonEmptyString(value) && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+const isNonNegativeNumber = (value) => typeof value === 'number' && value >= 0;
+const isStringList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+const isOptional = (predicate) => (value) => value === undefined || predicate(value);
+const isBoolean = (value) => typeof value === 'boolean';
+const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value);
+const isRegionList = (value) =>
+  Array.isArray(value) && value.every((region) => /^[A-Z]{2}$/.test(region));
+const isFlagValue = (value) =>
+  isBoolean(value) || typeof value === 'string' || Number.isFinite(value);
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+const isLocaleCode = (value) =>
+  typeof value === 'string' && /^[a-z]{2,3}(?:-[A-Z][a-z]{3})?(?:-(?:[A-Z]{2}|\d{3}))?$/.test(value);
+const isDirection = (value) => value === 'ltr' || value === 'rtl';
+
+/**
+ * Sections whose modules apply experiment variants
+ */
+const EXPERIMENT_SECTIONS = ['hero', 'features', 'pricing'];
+
+/**
+ * Validation rules as [path, predicate, expectation]
+ */
+const RULES = [
+  ['url', isAbsoluteUrl, 'an absolute http(s) URL without a trailing slash'],
+  ['brand.name', isNonEmptyString, 'a non-empty string'],
+  ['brand.title', isNonEmptyString, 'a non-empty string'],
+  ['brand.description', isNonEmptyString, 'a non-empty string'],
+  ['brand.logo', isSitePath, 'a site-relative path'],
+  ['brand.image', isSitePath, 'a site-relative path'],
+  ['brand.screenshot', isSitePath, 'a site-relative path'],
+  ['brand.foundingYear', Number.isInteger, 'an integer year'],
+  ['contact.email', isEmail, 'an email address'],
+  [
+    'signup.endpoint',
+    (value) => isSitePath(value) || isAbsoluteUrl(value),
+    'a site-relative path or absolute http(s) URL',
+  ],
+  ['i18n.defaultLocale', isLocaleCode, 'a BCP 47 language tag such as en or pt-BR'],
+  ['social.twitter.handle', (value) => /^@\w+$/.test(value), 'a handle starting with @'],
+  ['pricing.defaultCurrency', isCurrencyCode, 'an ISO 4217 currency code'],
+  ['rating.value', (value) => isNonNegativeNumber(value) && value <= 5, 'a number from 0 to 5'],
+  ['rating.count', (value) => Number.isInteger(value) && value >= 0, 'a non-negative integer'],
+];
+
+/**
+ * Validates a site config object
+ * @param {Object} config - Parsed site config
+ * @returns {string[]} Problems found; empty when the config is valid
+ */
+function validateSiteConfig(config) {
+  const problems = [];
+  const check = (path, predicate, expectation) => {
+    if (!predicate(getPath(config, path))) {
+      problems.push(`"${path}" must be ${expectation}`);
+    }
+  };
+
+  RULES.forEach((rule) => check(...rule));
+
+  Object.keys(config.social || {}).forEach((network) => {
+    check(`social.${network}.url`, isAbsoluteUrl, 'an absolute http(s) URL');
+  });
+
+  const locales = Object.keys(config.i18n?.locales || {});
+  if (!locales.includes(config.i18n?.defaultLocale)) {
+    problems.push('"i18n.locales" must include the default locale');
+  }
+
+  locales.forEach((code) => {
+    if (!isLocaleCode(code)) {
+      problems.push(`"i18n.locales.${code}" must be keyed by a BCP 47 language tag`);
+    }
+    check(`i18n.locales.${code}.name`, isNonEmptyString, 'a non-empty string');
+    check(`i18n.locales.${code}.dir`, isOptional(isDirection), 'ltr or rtl');
+  });
+
+  const currencies = Object.keys(config.pricing?.currencies || {});
+  if (!currencies.includes(config.pricing?.defaultCurrency)) {
+    problems.push('"pricing.currencies" must include the default currency');
+  }
+
+  currencies.forEach((code) => {
+    if (!isCurrencyCode(code)) {
+      problems.push(`"pricing.currencies.${code}" must be keyed by an ISO 4217 currency code`);
+    }
+    check(`pricing.currencies.${code}.regions`, isRegionList, 'a list of ISO 3166 region codes');
+  });
+
+  const plans = Object.keys(config.pricing?.plans || {});
+  if (plans.length === 0) {
+    problems.push('"pricing.plans" must define at least one plan');
+  }
+
+  plans.forEach((id) => {
+    const plan = `pricing.plans.${id}`;
+    check(`${plan}.name`, isNonEmptyString, 'a message key');
+    currencies.forEach((code) => {
+      check(`${plan}.prices.${code}.monthly`, isNonNegativeNumber, 'a non-negative number');
+      check(`${plan}.prices.${code}.annual`, isOptional(isNonNegativeNumber), 'a non-negative number');
+    });
+    check(`${plan}.description`, isNonEmptyString, 'a message key');
+    check(`${plan}.features`, isStringList, 'a non-empty list of message keys');
+    check(`${plan}.recommended`, isOptional(isBoolean), 'a boolean');
+    check(`${plan}.cta.label`, isNonEmptyString, 'a message key');
+    check(`${plan}.cta.href`, isNonEmptyString, 'a non-empty string');
+    check(`${plan}.cta.ariaLabel`, isOptional(isNonEmptyString), 'a message key');
+  });
+
+  const recommended = plans.filter((id) => config.pricing.plans[id].recommended);
+  if (recommended.length > 1) {
+    problems.push(`Only one plan may be recommended, found: ${recommended.join(', ')}`);
+  }
+
+  const comparison = config.pricing?.comparison;
+  if (comparison !== undefined && !Array.isArray(comparison)) {
+    problems.push('"pricing.comparison" must be a list of feature groups');
+  }
+
+  (Array.isArray(comparison) ? comparison : []).forEach((group, groupIndex) => {
+    const groupPath = `pricing.comparison.${groupIndex}`;
+    check(`${groupPath}.group`, isNonEmptyString, 'a message key');
+
+    if (!Array.isArray(group.rows) || group.rows.length === 0) {
+      problems.push(`"${groupPath}.rows" must be a non-empty list`);
+      return;
+    }
+
+    group.rows.forEach((row, rowIndex) => {
+      const rowPath = `${groupPath}.rows.${rowIndex}`;
+      check(`${rowPath}.feature`, isNonEmptyString, 'a message key');
+
+      Object.entries(row.values || {}).forEach(([planId, value]) => {
+        if (!plans.includes(planId)) {
+          problems.push(`"${rowPath}.values.${planId}" refers to an unknown plan`);
+        } else if (!isBoolean(value) && !isNonNegativeNumber(value) && !isNonEmptyString(value)) {
+          problems.push(`"${rowPath}.values.${planId}" must be a boolean, a number or a message key`);
+        }
+      });
+    });
+  });
+
+  // A flag's type is the type of its default, see src/js/flags.js
+  Object.keys(config.flags || {}).forEach((flag) => {
+    check(`flags.${flag}`, isFlagValue, 'a boolean, number or string');
+  });
+
+  Object.entries(config.experiments || {}).forEach(([id, experiment]) => {
+    const path = `experiments.${id}`;
+    const isSectionList = (value) =>
+      Array.isArray(value) && value.every((section) => EXPERIMENT_SECTIONS.includes(section));
+    check(`${path}.sections`, isSectionList, `a list of sections from: ${EXPERIMENT_SECTIONS.join(', ')}`);
+
+    const variants = Object.entries(experiment.variants || {});
+    if (variants.length < 2) {
+      problems.push(`"${path}.variants" must define at least two variants`);
+    }
+    if (!variants.some(([, variant]) => variant.weight > 0)) {
+      problems.push(`"${path}.variants" must give at least one variant a positive weight`);
+    }
+
+    variants.forEach(([name, variant]) => {
+      const variantPath = `${path}.variants.${name}`;
+      check(`${variantPath}.weight`, isNonNegativeNumber, 'a non-negative number');
+
+      Object.entries(variant.flags || {}).forEach(([flag, value]) => {
+        if (!(flag in (config.flags || {}))) {
+          problems.push(`"${variantPath}.flags.${flag}" refers to an unknown flag`);
+        } else if (typeof value !== typeof config.flags[flag]) {
+          problems.push(`"${variantPath}.flags.${flag}" must be a ${typeof config.flags[flag]} like its default`);
+        }
+      });
+
+      Object.entries(variant.changes || {}).forEach(([section, changes]) => {
+        if (!experiment.sections?.includes(section)) {
+          problems.push(`"${variantPath}.changes.${section}" is not one of the experiment's sections`);
+        }
+        (Array.isArray(changes) ? changes : [null]).forEach((change, index) => {
+          const changePath = `${variantPath}.changes.${section}.${index}`;
+          if (!isPlainObject(change)) {
+            problems.push(`"${changePath}" must be an object`);
+            return;
+          }
+          check(`${changePath}.selector`, isNonEmptyString, 'a CSS selector');
+          check(`${changePath}.message`, isOptional(isNonEmptyString), 'a message key');
+          check(`${changePath}.messageAttributes`, isOptional(isPlainObject), 'an object of message keys');
+          check(`${changePath}.text`, isOptional((value) => typeof value === 'string'), 'a string');
+          check(`${changePath}.attributes`, isOptional(isPlainObject), 'an object of attribute values');
+          check(`${changePath}.hidden`, isOptional(isBoolean), 'a boolean');
+          check(`${changePath}.className`, isOptional(isNonEmptyString), 'a non-empty string');
+        });
+      });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Creates the site config plugin
+ * @param {Object} [options]
+ * @param {string} [options.path] - Config file, relative to the project root
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+export default function siteConfig({ path = 'site.config.json' } = {}) {
+  let configPath = '';
+  let config = null;
+
+  return {
+    name: 'site-config',
+
+    configResolved(resolvedConfig) {
+      configPath = resolve(resolvedConfig.root, path);
+    },
+
+    async buildStart() {
+      this.addWatchFile(configPath);
+
+      try {
+        config = JSON.parse(await readFile(configPath, 'utf-8'));
+      } catch (error) {
+        this.error(`[site-config] Could not read ${configPath}: ${error.message}`);
+      }
+
+      const problems = validateSiteConfig(config);
+      if (problems.length > 0) {
+        this.error(`[site-config] Invalid ${path}:\n  - ${problems.join('\n  - ')}`);
+      }
+    },
+
+    transformIndexHtml: {
+      order: 'pre',
+      handler(html) {
+        return renderTemplate(html, config, {
+          onMissing: (placeholder) => {
+            throw new Error(`[site-config] Unknown placeholder "{{ ${placeholder} }}"`);
+          },
+        });
+      },
+    },
+  };
+}
+
+export { validateSiteConfig };
@@ -0,0 +1,393 @@
+/**
+ * Analytics Dispatcher
+ * Single entry point for analytics events. Section modules call `track()` with a
+ * common event schema; the dispatcher samples the session, queues events until
+ * it is initialized and the visitor has made a consent decision, and forwards
+ * each event to every registered adapter whose consent category is granted.
+ *
+ * Built-in adapters cover gtag (GA4), Universal Analytics (`ga`), Segment-style
+ * `analytics.track` and a DOM event; custom adapters are added with
+ * `registerAdapter()`.
+ *
+ * @module analytics
+ */
+
+import { getConsent, hasConsent, CONSENT_CONFIG } from './consent.js';
+import { createBeaconAdapter } from './beacon.js';
+
+/**
+ * Analytics configuration
+ */
+const ANALYTICS_CONFIG = Object.freeze({
+  SAMPLE_RATE: 1,
+  MAX_QUEUE_SIZE: 100,
+  SAMPLING_STORAGE_KEY: 'analytics_sampled',
+  EVENTS: Object.freeze({
+    TRACK: 'analytics:event',
+  }),
+});
+
+/**
+ * Analytics event
+ * @typedef {Object} AnalyticsEvent
+ * @property {string} id - Unique event id, used to deduplicate deliveries
+ * @property {string} name - Event name in snake_case, e.g. `cta_click`
+ * @property {string} category - Reporting module, e.g. `hero` or `pricing`
+ * @property {string} [label] - Human readable detail
+ * @property {number} [value] - Numeric value
+ * @property {Object} properties - Any further event data
+ * @property {Object<string, string>} context - Values added to every event, such
+ *   as experiment variants, see `setContext()`
+ * @property {string} timestamp - ISO 8601 time the event was tracked
+ * @property {string} page - Path of the page the event was tracked on
+ */
+
+/**
+ * Analytics adapter
+ * @typedef {Object} AnalyticsAdapter
+ * @property {string} name - Unique adapter name
+ * @property {Function} [isAvailable] - Returns false to skip the adapter, e.g.
+ *   while a third-party script has not loaded yet
+ * @property {Function} send - Receives each {@link AnalyticsEvent}
+ * @property {string} [consent] - Consent category the adapter needs, `analytics`
+ *   by default
+ * @property {Function} [init] - Called when the adapter is registered
+ * @property {Function} [destroy] - Called when the adapter is removed
+ */
+
+/**
+ * Google Analytics 4 via gtag.js
+ * @type {AnalyticsAdapter}
+ */
+const gtagAdapter = {
+  name: 'gtag',
+  isAvailable: () => typeof window.gtag === 'function',
+  send: ({ name, category, label, value, properties, context }) => {
+    window.gtag('event', name, {
+      event_category: category,
+      event_label: label,
+      value,
+      ...context,
+      ...properties,
+    });
+  },
+};
+
+/**
+ * Universal Analytics via analytics.js
+ * @type {AnalyticsAdapter}
+ */
+const universalAnalyticsAdapter = {
+  name: 'ga',
+  isAvailable: () => typeof window.ga === 'function',
+  send: ({ name, category, label, value }) => {
+    // Universal Analytics only accepts integer event values
+    window.ga('send', 'event', category, name, label, Number.isFinite(value) ? Math.round(value) : undefined);
+  },
+};
+
+/**
+ * Segment-style `analytics.track` API
+ * @type {AnalyticsAdapter}
+ */
+const segmentAdapter = {
+  name: 'segment',
+  isAvailable: () => typeof window.analytics?.track === 'function',
+  send: ({ name, category, label, value, properties, context }) => {
+    window.analytics.track(name, { category, label, value, ...context, ...properties });
+  },
+};
+
+/**
+ * Dispatches every event as an `analytics:event` CustomEvent on the document,
+ * for in-page listeners and tag managers
+ * @type {AnalyticsAdapter}
+ */
+const domEventAdapter = {
+  name: 'dom',
+  send: (event) => {
+    document.dispatchEvent(
+      new CustomEvent(ANALYTICS_CONFIG.EVENTS.TRACK, {
+        detail: event,
+      })
+    );
+  },
+};
+
+/**
+ * Adapters registered when `initAnalytics()` is called without options
+ */
+const DEFAULT_ADAPTERS = Object.freeze([
+  gtagAdapter,
+  universalAnalyticsAdapter,
+  segmentAdapter,
+  domEventAdapter,
+  createBeaconAdapter(),
+]);
+
+/**
+ * Dispatcher state
+ */
+const state = {
+  initialized: false,
+  sampled: true,
+  sampleRates: {},
+  context: {},
+  listeners: new Set(),
+  adapters: new Map(),
+  queue: [],
+};
+
+/**
+ * Decides once per session whether this visitor is sampled, so a session is
+ * either reported completely or not at all
+ * @param {number} sampleRate - Share of sessions to report, 0 to 1
+ * @returns {boolean} Whether the session is sampled
+ */
+function resolveSessionSampling(sampleRate) {
+  try {
+    const stored = sessionStorage.getItem(ANALYTICS_CONFIG.SAMPLING_STORAGE_KEY);
+    if (stored !== null) {
+      return stored === '1';
+    }
+
+    const sampled = Math.random() < sampleRate;
+    sessionStorage.setItem(ANALYTICS_CONFIG.SAMPLING_STORAGE_KEY, sampled ? '1' : '0');
+    return sampled;
+  } catch (error) {
+    // sessionStorage might be unavailable; sample this page view only
+    return Math.random() < sampleRate;
+  }
+}
+
+/**
+ * Creates a unique event id
+ * @returns {string} Event id
+ */
+function createEventId() {
+  // randomUUID is only available in secure contexts
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Whether queued events can be sent: the dispatcher is initialized and the
+ * visitor has made a consent decision
+ * @returns {boolean} Whether events are dispatched
+ */
+function isReady() {
+  return state.initialized && getConsent() !== null;
+}
+
+/**
+ * Forwards an event to every available adapter with consent
+ * @param {AnalyticsEvent} event - Event to send
+ */
+function dispatch(event) {
+  const eventSampleRate = state.sampleRates[event.name];
+  if (eventSampleRate !== undefined && Math.random() >= eventSampleRate) {
+    return;
+  }
+
+  if (import.meta.env.DEV) {
+    console.log('[Analytics]', event);
+  }
+
+  state.adapters.forEach((adapter) => {
+    if (!hasConsent(adapter.consent || CONSENT_CONFIG.CATEGORIES.ANALYTICS)) {
+      return;
+    }
+
+    try {
+      if (!adapter.isAvailable || adapter.isAvailable()) {
+        adapter.send(event);
+      }
+    } catch (error) {
+      console.error(`[Analytics] Adapter "${adapter.name}" failed:`, error);
+    }
+  });
+}
+
+/**
+ * Runs an optional adapter lifecycle hook
+ * @param {AnalyticsAdapter} adapter - Adapter
+ * @param {string} hook - `init` or `destroy`
+ */
+function runAdapterHook(adapter, hook) {
+  try {
+    adapter[hook]?.();
+  } catch (error) {
+    console.error(`[Analytics] Adapter "${adapter.name}" ${hook} failed:`, error);
+  }
+}
+
+/**
+ * Registers an adapter, replacing any adapter with the same name
+ * @param {AnalyticsAdapter} adapter - Adapter to register
+ */
+function registerAdapter(adapter) {
+  if (!adapter?.name || typeof adapter.send !== 'function') {
+    console.warn('[Analytics] Adapters need a name and a send function');
+    return;
+  }
+  unregisterAdapter(adapter.name);
+  state.adapters.set(adapter.name, adapter);
+  runAdapterHook(adapter, 'init');
+}
+
+/**
+ * Removes an adapter
+ * @param {string} name - Adapter name
+ */
+function unregisterAdapter(name) {
+  const adapter = state.adapters.get(name);
+  if (adapter) {
+    state.adapters.delete(name);
+    runAdapterHook(adapter, 'destroy');
+  }
+}
+
+/**
+ * Merges values into the context added to every event tracked from now on.
+ * Keys set to undefined are removed.
+ * @param {Object<string, string>} values - Context values, e.g. `{ experiment_heroCta: 'control' }`
+ */
+function setContext(values) {
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete state.context[key];
+    } else {
+      state.context[key] = value;
+    }
+  });
+}
+
+/**
+ * Calls a listener with every tracked event, before sampling, consent and
+ * queueing, so in-page state such as the funnel sees the whole session
+ * @param {Function} listener - Receives each {@link AnalyticsEvent}
+ * @returns {Function} Unsubscribe function
+ */
+function onTrack(listener) {
+  state.listeners.add(listener);
+  return () => state.listeners.delete(listener);
+}
+
+/**
+ * Sends the queued events once the dispatcher is ready
+ */
+function flushQueue() {
+  if (!isReady()) return;
+
+  const queued = state.queue.splice(0);
+  if (state.sampled) {
+    queued.forEach(dispatch);
+  }
+}
+
+/**
+ * Tracks an event. Events tracked before `initAnalytics()` or before the
+ * visitor's consent decision are queued.
+ * @param {string} name - Event name in snake_case
+ * @param {Object} [data] - Event data
+ * @param {string} [data.category] - Reporting module
+ * @param {string} [data.label] - Human readable detail
+ * @param {number} [data.value] - Numeric value
+ * @returns {AnalyticsEvent|null} The event, or null if the session is not sampled
+ */
+function track(name, { category = 'general', label, value, ...properties } = {}) {
+  const event = {
+    id: createEventId(),
+    name,
+    category,
+    label,
+    value,
+    properties,
+    context: { ...state.context },
+    timestamp: new Date().toISOString(),
+    page: window.location.pathname,
+  };
+
+  state.listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('[Analytics] Track listener failed:', error);
+    }
+  });
+
+  if (!state.sampled) {
+    return null;
+  }
+
+  if (!isReady()) {
+    if (state.queue.length >= ANALYTICS_CONFIG.MAX_QUEUE_SIZE) {
+      state.queue.shift();
+    }
+    state.queue.push(event);
+    return event;
+  }
+
+  dispatch(event);
+  return event;
+}
+
+/**
+ * Initializes the dispatcher and flushes events queued before initialization
+ * @param {Object} [options]
+ * @param {AnalyticsAdapter[]} [options.adapters] - Adapters to register
+ * @param {number} [options.sampleRate] - Share of sessions to report, 0 to 1
+ * @param {Object<string, number>} [options.sampleRates] - Per-event sample rates
+ *   applied on top of session sampling, e.g. `{ card_hover: 0.1 }`
+ * @returns {Function} Cleanup function
+ */
+function initAnalytics({
+  adapters = DEFAULT_ADAPTERS,
+  sampleRate = ANALYTICS_CONFIG.SAMPLE_RATE,
+  sampleRates = {},
+} = {}) {
+  adapters.forEach(registerAdapter);
+  state.sampleRates = { ...sampleRates };
+  state.sampled = resolveSessionSampling(sampleRate);
+  state.initialized = true;
+
+  flushQueue();
+  document.addEventListener(CONSENT_CONFIG.EVENTS.CHANGE, flushQueue);
+
+  console.log(
+    `[Analytics] Initialized with ${state.adapters.size} adapters` +
+      (state.sampled ? '' : ' (session not sampled)')
+  );
+
+  return destroyAnalytics;
+}
+
+/**
+ * Removes all adapters and returns the dispatcher to its queueing state
+ */
+function destroyAnalytics() {
+  document.removeEventListener(CONSENT_CONFIG.EVENTS.CHANGE, flushQueue);
+  state.adapters.forEach((adapter) => runAdapterHook(adapter, 'destroy'));
+  state.adapters.clear();
+  state.queue = [];
+  state.sampleRates = {};
+  state.sampled = true;
+  state.initialized = false;
+}
+
+export {
+  initAnalytics,
+  destroyAnalytics,
+  track,
+  setContext,
+  onTrack,
+  registerAdapter,
+  unregisterAdapter,
+  gtagAdapter,
+  universalAnalyticsAdapter,
+  segmentAdapter,
+  domEventAdapter,
+  ANALYTICS_CONFIG,
+};
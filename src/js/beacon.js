@@ -0,0 +1,194 @@
+/**
+ * Beacon Transport
+ * First-party analytics adapter that batches events and posts them to our own
+ * collector with `navigator.sendBeacon`. Unsent events are kept in localStorage,
+ * so events tracked while offline or right before a reload are sent later.
+ *
+ * Events are deduplicated by id before they are queued; the collector
+ * deduplicates again, as two tabs may restore and send the same stored queue.
+ *
+ * @module beacon
+ */
+
+import { hasConsent, CONSENT_CONFIG } from './consent.js';
+
+/**
+ * Beacon transport configuration
+ */
+const BEACON_CONFIG = Object.freeze({
+  ENDPOINT: '/api/collect',
+  STORAGE_KEY: 'analytics_beacon_queue',
+  BATCH_SIZE: 20,
+  FLUSH_INTERVAL: 10000,
+  MAX_STORED_EVENTS: 500,
+});
+
+/**
+ * Reads the events left unsent by a previous page
+ * @returns {Array<Object>} Stored events
+ */
+function loadQueue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(BEACON_CONFIG.STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('[Beacon] Could not read stored events');
+    return [];
+  }
+}
+
+/**
+ * Stores the unsent events, or removes the entry once everything is sent
+ * @param {Array<Object>} queue - Unsent events
+ */
+function saveQueue(queue) {
+  try {
+    if (queue.length === 0) {
+      localStorage.removeItem(BEACON_CONFIG.STORAGE_KEY);
+    } else {
+      localStorage.setItem(BEACON_CONFIG.STORAGE_KEY, JSON.stringify(queue));
+    }
+  } catch (error) {
+    console.warn('[Beacon] Could not persist unsent events');
+  }
+}
+
+/**
+ * Hands a batch to the browser for delivery
+ * @param {string} endpoint - Collector URL
+ * @param {Array<Object>} batch - Events to send
+ * @returns {boolean} Whether the browser accepted the batch
+ */
+function transmit(endpoint, batch) {
+  const body = JSON.stringify({ events: batch });
+
+  if (typeof navigator.sendBeacon === 'function') {
+    return navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+  }
+
+  // keepalive lets the request outlive the page, like a beacon
+  fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    keepalive: true,
+  }).catch(() => {
+    console.warn('[Beacon] Batch could not be delivered');
+  });
+  return true;
+}
+
+/**
+ * Creates the first-party beacon adapter for the analytics dispatcher
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] - Collector URL
+ * @param {number} [options.batchSize] - Events per request; a full batch is sent immediately
+ * @param {number} [options.flushInterval] - Milliseconds before a partial batch is sent
+ * @returns {import('./analytics.js').AnalyticsAdapter} Adapter
+ */
+function createBeaconAdapter({
+  endpoint = BEACON_CONFIG.ENDPOINT,
+  batchSize = BEACON_CONFIG.BATCH_SIZE,
+  flushInterval = BEACON_CONFIG.FLUSH_INTERVAL,
+} = {}) {
+  let queue = [];
+  let flushTimer = null;
+
+  /**
+   * Sends every queued event in batches; whatever the browser refuses stays queued
+   * @returns {number} Number of events sent
+   */
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    if (queue.length === 0 || navigator.onLine === false) {
+      return 0;
+    }
+
+    let sent = 0;
+    while (sent < queue.length) {
+      const batch = queue.slice(sent, sent + batchSize);
+      if (!transmit(endpoint, batch)) {
+        console.warn('[Beacon] Browser refused batch, keeping it for later');
+        break;
+      }
+      sent += batch.length;
+    }
+
+    queue = queue.slice(sent);
+    saveQueue(queue);
+    return sent;
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') {
+      flush();
+    }
+  };
+
+  // Withdrawn consent also discards events that were not sent yet
+  const handleConsentChange = () => {
+    if (!hasConsent(CONSENT_CONFIG.CATEGORIES.ANALYTICS)) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      queue = [];
+      saveQueue(queue);
+    }
+  };
+
+  return {
+    name: 'beacon',
+    consent: CONSENT_CONFIG.CATEGORIES.ANALYTICS,
+
+    init() {
+      const ids = new Set();
+      queue = loadQueue().filter(({ id }) => {
+        if (!id || ids.has(id)) return false;
+        ids.add(id);
+        return true;
+      });
+
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+      window.addEventListener('pagehide', flush);
+      window.addEventListener('online', flush);
+      document.addEventListener(CONSENT_CONFIG.EVENTS.CHANGE, handleConsentChange);
+
+      if (hasConsent(CONSENT_CONFIG.CATEGORIES.ANALYTICS)) {
+        flush();
+      } else {
+        handleConsentChange();
+      }
+    },
+
+    send(event) {
+      if (queue.some(({ id }) => id === event.id)) {
+        return;
+      }
+
+      queue.push(event);
+      if (queue.length > BEACON_CONFIG.MAX_STORED_EVENTS) {
+        queue.shift();
+      }
+      saveQueue(queue);
+
+      if (queue.length >= batchSize) {
+        flush();
+      } else if (!flushTimer) {
+        flushTimer = setTimeout(flush, flushInterval);
+      }
+    },
+
+    flush,
+
+    destroy() {
+      flush();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', flush);
+      window.removeEventListener('online', flush);
+      document.removeEventListener(CONSENT_CONFIG.EVENTS.CHANGE, handleConsentChange);
+    },
+  };
+}
+
+export { createBeaconAdapter, BEACON_CONFIG };
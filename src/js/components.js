@@ -0,0 +1,274 @@
+/**
+ * Component Loader
+ * Mounts HTML partials into `data-component` slots with status checks, retries
+ * with exponential backoff and a per-slot fallback when a partial cannot be loaded.
+ *
+ * Production builds inline the partials (see plugins/inline-components.js), in
+ * which case the loader only reports the components already on the page.
+ *
+ * @module components
+ */
+
+import { renderTemplate } from './template.js';
+import { SITE_CONFIG } from './site-config.js';
+import { t } from './i18n.js';
+
+/**
+ * Loader configuration
+ */
+const LOADER_CONFIG = Object.freeze({
+  BASE_PATH: `${import.meta.env.BASE_URL}src/components`,
+  MAX_RETRIES: 2,
+  RETRY_BASE_DELAY: 500,
+  RETRY_MAX_DELAY: 4000,
+  SELECTORS: Object.freeze({
+    SLOT: '[data-component]',
+    ROOT: '[data-component-root]',
+  }),
+  EVENTS: Object.freeze({
+    LOADED: 'component:loaded',
+    FAILED: 'component:failed',
+  }),
+  // Message key; the notice is translated again once the locale is loaded
+  DEFAULT_FALLBACK_MESSAGE: 'components.fallback',
+});
+
+/**
+ * Mount status of a component
+ * @enum {string}
+ */
+const COMPONENT_STATUS = Object.freeze({
+  INLINE: 'inline',
+  LOADED: 'loaded',
+  FAILED: 'failed',
+});
+
+/**
+ * Result of mounting a single component
+ * @typedef {Object} ComponentResult
+ * @property {string} name - Component name
+ * @property {string} status - One of COMPONENT_STATUS
+ * @property {HTMLElement|null} element - Mounted root element, or the fallback on failure
+ * @property {number} attempts - Number of fetch attempts made
+ * @property {Error} [error] - Last error when the component failed
+ */
+
+/**
+ * Error raised for a non-successful partial response
+ */
+class ComponentLoadError extends Error {
+  /**
+   * @param {string} name - Component name
+   * @param {number} status - HTTP status code
+   */
+  constructor(name, status) {
+    super(`Component "${name}" responded with HTTP ${status}`);
+    this.name = 'ComponentLoadError';
+    this.status = status;
+  }
+
+  /**
+   * Client errors will not go away on retry, apart from timeouts and rate limits
+   * @returns {boolean}
+   */
+  get retryable() {
+    return this.status >= 500 || this.status === 408 || this.status === 429;
+  }
+}
+
+/**
+ * Wait for specified duration
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch a partial, retrying network failures and retryable HTTP errors
+ * @param {string} name - Component name
+ * @returns {Promise<{html: string, attempts: number}>}
+ * @throws {Error} Last error once retries are exhausted
+ */
+async function fetchPartial(name) {
+  const path = `${LOADER_CONFIG.BASE_PATH}/${name}.html`;
+  let attempts = 0;
+
+  for (;;) {
+    attempts += 1;
+
+    try {
+      const response = await fetch(path);
+
+      if (!response.ok) {
+        throw new ComponentLoadError(name, response.status);
+      }
+
+      return { html: await response.text(), attempts };
+    } catch (error) {
+      const retryable = !(error instanceof ComponentLoadError) || error.retryable;
+
+      if (!retryable || attempts > LOADER_CONFIG.MAX_RETRIES) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      await delay(
+        Math.min(
+          LOADER_CONFIG.RETRY_BASE_DELAY * Math.pow(2, attempts - 1),
+          LOADER_CONFIG.RETRY_MAX_DELAY
+        )
+      );
+    }
+  }
+}
+
+/**
+ * Build the fallback element for a slot
+ * A slot can name its own fallback with `data-fallback="#template-id"`,
+ * otherwise a generic notice is rendered.
+ * @param {HTMLElement} slot - Component slot
+ * @returns {HTMLElement} Fallback element
+ */
+function createFallback(slot) {
+  const { component: name, fallback } = slot.dataset;
+  const template = fallback ? document.querySelector(fallback) : null;
+  let element;
+
+  if (template instanceof HTMLTemplateElement) {
+    element = template.content.firstElementChild?.cloneNode(true);
+  }
+
+  if (!element) {
+    element = document.createElement('div');
+    element.className = 'alert alert-warning component-fallback';
+    element.textContent = t(LOADER_CONFIG.DEFAULT_FALLBACK_MESSAGE);
+    element.dataset.i18n = LOADER_CONFIG.DEFAULT_FALLBACK_MESSAGE;
+  }
+
+  element.setAttribute('role', 'status');
+  element.dataset.componentFallback = name;
+  return element;
+}
+
+/**
+ * Replace a slot with markup and tag the root element with its component name.
+ * Site config placeholders are rendered here, as the build does for inlined partials.
+ * @param {HTMLElement} slot - Component slot
+ * @param {string} html - Partial markup
+ * @returns {HTMLElement|null} Mounted root element
+ */
+function mountPartial(slot, html) {
+  const name = slot.dataset.component;
+  const template = document.createElement('template');
+  template.innerHTML = renderTemplate(html, SITE_CONFIG, {
+    onMissing: (path) => console.warn(`[Components] Unknown placeholder "{{ ${path} }}" in "${name}"`),
+  }).trim();
+
+  const root = template.content.firstElementChild;
+  if (root) {
+    root.dataset.componentRoot = name;
+  }
+
+  slot.replaceWith(template.content);
+  return root;
+}
+
+/**
+ * Dispatch a component lifecycle event on the document
+ * @param {string} type - Event type
+ * @param {ComponentResult} result - Component result
+ */
+function dispatchComponentEvent(type, result) {
+  document.dispatchEvent(
+    new CustomEvent(type, {
+      detail: result,
+    })
+  );
+}
+
+/**
+ * Load a single slot
+ * @param {HTMLElement} slot - Component slot
+ * @returns {Promise<ComponentResult>}
+ */
+async function loadSlot(slot) {
+  const name = slot.dataset.component;
+
+  try {
+    const { html, attempts } = await fetchPartial(name);
+    const result = {
+      name,
+      status: COMPONENT_STATUS.LOADED,
+      element: mountPartial(slot, html),
+      attempts,
+    };
+
+    dispatchComponentEvent(LOADER_CONFIG.EVENTS.LOADED, result);
+    return result;
+  } catch (error) {
+    console.error(`[Components] Failed to load "${name}":`, error);
+
+    const fallback = createFallback(slot);
+    slot.replaceWith(fallback);
+
+    const result = {
+      name,
+      status: COMPONENT_STATUS.FAILED,
+      element: fallback,
+      attempts: error.attempts || 1,
+      error,
+    };
+
+    dispatchComponentEvent(LOADER_CONFIG.EVENTS.FAILED, result);
+    return result;
+  }
+}
+
+/**
+ * Load every component slot on the page
+ * Components inlined at build time are reported as mounted without fetching.
+ * @returns {Promise<Map<string, ComponentResult>>} Results keyed by component name
+ */
+async function loadComponents() {
+  const results = new Map();
+
+  document.querySelectorAll(LOADER_CONFIG.SELECTORS.ROOT).forEach((element) => {
+    const result = {
+      name: element.dataset.componentRoot,
+      status: COMPONENT_STATUS.INLINE,
+      element,
+      attempts: 0,
+    };
+
+    results.set(result.name, result);
+    dispatchComponentEvent(LOADER_CONFIG.EVENTS.LOADED, result);
+  });
+
+  const slots = Array.from(document.querySelectorAll(LOADER_CONFIG.SELECTORS.SLOT));
+  const loaded = await Promise.all(slots.map(loadSlot));
+
+  loaded.forEach((result) => {
+    results.set(result.name, result);
+  });
+
+  return results;
+}
+
+/**
+ * Check whether a load result represents a mounted component
+ * @param {ComponentResult|undefined} result - Component result
+ * @returns {boolean}
+ */
+function isMounted(result) {
+  return Boolean(result) && result.status !== COMPONENT_STATUS.FAILED;
+}
+
+export {
+  loadComponents,
+  isMounted,
+  ComponentLoadError,
+  COMPONENT_STATUS,
+  LOADER_CONFIG,
+};
@@ -0,0 +1,354 @@
+/**
+ * Consent Management
+ * Stores the visitor's cookie consent per category, signals it to Google Consent
+ * Mode and drives the consent banner, the preferences dialog and the footer
+ * withdraw link. Other modules check `hasConsent()` or wait with
+ * `whenConsented()` before doing anything that needs consent.
+ *
+ * @module consent
+ */
+
+/**
+ * Consent configuration
+ */
+const CONSENT_CONFIG = Object.freeze({
+  STORAGE_KEY: 'consent_preferences',
+  VERSION: 1,
+  CATEGORIES: Object.freeze({
+    NECESSARY: 'necessary',
+    ANALYTICS: 'analytics',
+    MARKETING: 'marketing',
+  }),
+  EVENTS: Object.freeze({
+    CHANGE: 'consent:change',
+  }),
+  SELECTORS: Object.freeze({
+    BANNER: '[data-consent-banner]',
+    DIALOG: '[data-consent-dialog]',
+    ACTION: '[data-consent-action]',
+    CATEGORY_INPUT: '[data-consent-category]',
+    GATED_LINK: 'link[data-consent][data-href]',
+  }),
+  // Google Consent Mode storage types granted by each category
+  CONSENT_MODE: Object.freeze({
+    necessary: Object.freeze(['functionality_storage', 'security_storage']),
+    analytics: Object.freeze(['analytics_storage']),
+    marketing: Object.freeze(['ad_storage', 'ad_user_data', 'ad_personalization']),
+  }),
+  CONSENT_MODE_WAIT: 500,
+});
+
+/**
+ * Stored consent decision
+ * @typedef {Object} ConsentDecision
+ * @property {number} version - CONSENT_CONFIG.VERSION when the decision was made
+ * @property {string} timestamp - ISO 8601 time of the decision
+ * @property {Object<string, boolean>} categories - Granted state per category
+ */
+
+/**
+ * Reads the stored decision; decisions from an older version are discarded
+ * so visitors are asked again when the categories change
+ * @returns {ConsentDecision|null} Stored decision
+ */
+function loadDecision() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_CONFIG.STORAGE_KEY));
+    return stored?.version === CONSENT_CONFIG.VERSION ? stored : null;
+  } catch (error) {
+    console.warn('[Consent] Could not read stored consent');
+    return null;
+  }
+}
+
+/**
+ * Current decision, null until the visitor has decided. Restored on load so
+ * modules initialized before the banner can already check consent.
+ * @type {ConsentDecision|null}
+ */
+let decision = loadDecision();
+
+/**
+ * Returns the current decision
+ * @returns {ConsentDecision|null} Decision, or null if the visitor has not decided
+ */
+function getConsent() {
+  return decision;
+}
+
+/**
+ * Checks whether a category may be used. Necessary is always granted.
+ * @param {string} category - Consent category
+ * @returns {boolean} Whether the category is granted
+ */
+function hasConsent(category) {
+  if (category === CONSENT_CONFIG.CATEGORIES.NECESSARY) {
+    return true;
+  }
+  return Boolean(decision?.categories[category]);
+}
+
+/**
+ * Sends a gtag command, queueing it on the dataLayer until gtag.js loads
+ * @param {...*} args - gtag arguments
+ */
+function gtag(...args) {
+  if (typeof window.gtag === 'function') {
+    window.gtag(...args);
+    return;
+  }
+
+  window.dataLayer = window.dataLayer || [];
+  // gtag.js only processes Arguments objects, not arrays
+  (function pushArguments() {
+    window.dataLayer.push(arguments);
+  })(...args);
+}
+
+/**
+ * Maps category states to Google Consent Mode storage types
+ * @param {Object<string, boolean>} categories - Granted state per category
+ * @returns {Object<string, string>} Consent Mode state
+ */
+function toConsentModeState(categories) {
+  const state = {};
+
+  Object.entries(CONSENT_CONFIG.CONSENT_MODE).forEach(([category, types]) => {
+    const granted = category === CONSENT_CONFIG.CATEGORIES.NECESSARY || Boolean(categories[category]);
+    types.forEach((type) => {
+      state[type] = granted ? 'granted' : 'denied';
+    });
+  });
+
+  return state;
+}
+
+/**
+ * Activates `<link data-consent="category" data-href="...">` elements, such as
+ * third-party preconnects and stylesheets, whose category has been granted
+ */
+function activateGatedLinks() {
+  document.querySelectorAll(CONSENT_CONFIG.SELECTORS.GATED_LINK).forEach((link) => {
+    if (hasConsent(link.dataset.consent)) {
+      link.href = link.dataset.href;
+      link.removeAttribute('data-href');
+    }
+  });
+}
+
+/**
+ * Stores a decision, updates Consent Mode and notifies listeners
+ * @param {Object<string, boolean>} categories - Granted state per optional category
+ * @returns {ConsentDecision} Stored decision
+ */
+function saveConsent(categories) {
+  const previous = decision;
+
+  decision = {
+    version: CONSENT_CONFIG.VERSION,
+    timestamp: new Date().toISOString(),
+    categories: {
+      [CONSENT_CONFIG.CATEGORIES.NECESSARY]: true,
+      [CONSENT_CONFIG.CATEGORIES.ANALYTICS]: Boolean(categories[CONSENT_CONFIG.CATEGORIES.ANALYTICS]),
+      [CONSENT_CONFIG.CATEGORIES.MARKETING]: Boolean(categories[CONSENT_CONFIG.CATEGORIES.MARKETING]),
+    },
+  };
+
+  try {
+    localStorage.setItem(CONSENT_CONFIG.STORAGE_KEY, JSON.stringify(decision));
+  } catch (error) {
+    console.warn('[Consent] Could not persist consent');
+  }
+
+  gtag('consent', 'update', toConsentModeState(decision.categories));
+  activateGatedLinks();
+
+  document.dispatchEvent(
+    new CustomEvent(CONSENT_CONFIG.EVENTS.CHANGE, {
+      detail: { consent: decision, previous },
+    })
+  );
+
+  return decision;
+}
+
+/**
+ * Grants every category
+ * @returns {ConsentDecision} Stored decision
+ */
+function acceptAll() {
+  return saveConsent({
+    [CONSENT_CONFIG.CATEGORIES.ANALYTICS]: true,
+    [CONSENT_CONFIG.CATEGORIES.MARKETING]: true,
+  });
+}
+
+/**
+ * Denies every optional category
+ * @returns {ConsentDecision} Stored decision
+ */
+function rejectAll() {
+  return saveConsent({});
+}
+
+/**
+ * Withdraws all optional consent. Already activated third-party links stay
+ * connected until the next page load, as a preconnect cannot be undone.
+ * @returns {ConsentDecision} Stored decision
+ */
+function withdrawConsent() {
+  console.log('[Consent] Consent withdrawn');
+  return rejectAll();
+}
+
+/**
+ * Runs a callback once a category is granted: immediately if it already is,
+ * otherwise on the consent change that grants it
+ * @param {string} category - Consent category
+ * @param {Function} callback - Callback to run
+ * @returns {Function} Unsubscribe function
+ */
+function whenConsented(category, callback) {
+  if (hasConsent(category)) {
+    callback();
+    return () => {};
+  }
+
+  const handleChange = () => {
+    if (hasConsent(category)) {
+      document.removeEventListener(CONSENT_CONFIG.EVENTS.CHANGE, handleChange);
+      callback();
+    }
+  };
+
+  document.addEventListener(CONSENT_CONFIG.EVENTS.CHANGE, handleChange);
+  return () => document.removeEventListener(CONSENT_CONFIG.EVENTS.CHANGE, handleChange);
+}
+
+/**
+ * Shows or hides the banner
+ * @param {boolean} visible - Whether the banner is shown
+ */
+function toggleBanner(visible) {
+  const banner = document.querySelector(CONSENT_CONFIG.SELECTORS.BANNER);
+  if (banner) {
+    banner.hidden = !visible;
+  }
+}
+
+/**
+ * Opens the preferences dialog with the current decision pre-filled
+ */
+function openPreferences() {
+  const dialog = document.querySelector(CONSENT_CONFIG.SELECTORS.DIALOG);
+
+  if (!dialog || typeof dialog.showModal !== 'function') {
+    console.warn('[Consent] Preferences dialog unavailable');
+    return;
+  }
+
+  dialog.querySelectorAll(CONSENT_CONFIG.SELECTORS.CATEGORY_INPUT).forEach((input) => {
+    input.checked = hasConsent(input.dataset.consentCategory);
+  });
+
+  if (!dialog.open) {
+    dialog.showModal();
+  }
+}
+
+/**
+ * Closes the preferences dialog
+ */
+function closePreferences() {
+  const dialog = document.querySelector(CONSENT_CONFIG.SELECTORS.DIALOG);
+  if (dialog?.open) {
+    dialog.close();
+  }
+}
+
+/**
+ * Reads the category checkboxes of the preferences dialog
+ * @returns {Object<string, boolean>} Granted state per category
+ */
+function readPreferences() {
+  const categories = {};
+  document
+    .querySelectorAll(`${CONSENT_CONFIG.SELECTORS.DIALOG} ${CONSENT_CONFIG.SELECTORS.CATEGORY_INPUT}`)
+    .forEach((input) => {
+      categories[input.dataset.consentCategory] = input.checked;
+    });
+  return categories;
+}
+
+/**
+ * Consent actions by `data-consent-action` value
+ */
+const ACTIONS = Object.freeze({
+  accept: acceptAll,
+  reject: rejectAll,
+  save: () => saveConsent(readPreferences()),
+  preferences: openPreferences,
+  withdraw: () => {
+    withdrawConsent();
+    openPreferences();
+  },
+});
+
+/**
+ * Handles clicks on any `data-consent-action` element: banner and dialog
+ * buttons as well as the footer links
+ * @param {Event} event - Click event
+ */
+function handleActionClick(event) {
+  const trigger = event.target.closest(CONSENT_CONFIG.SELECTORS.ACTION);
+  const action = trigger && ACTIONS[trigger.dataset.consentAction];
+
+  if (!action) return;
+
+  event.preventDefault();
+  action();
+
+  if (trigger.dataset.consentAction !== 'preferences' && trigger.dataset.consentAction !== 'withdraw') {
+    closePreferences();
+  }
+
+  // Any decision, including withdrawal, replaces the banner
+  toggleBanner(decision === null);
+}
+
+/**
+ * Restores the stored decision, sends the Consent Mode default and shows the
+ * banner to visitors who have not decided yet
+ * @returns {Function} Cleanup function
+ */
+function initConsent() {
+  decision = loadDecision();
+
+  gtag('consent', 'default', {
+    ...toConsentModeState(decision?.categories || {}),
+    wait_for_update: CONSENT_CONFIG.CONSENT_MODE_WAIT,
+  });
+
+  activateGatedLinks();
+  toggleBanner(decision === null);
+  document.addEventListener('click', handleActionClick);
+
+  console.log(`[Consent] Initialized (${decision ? 'decision restored' : 'awaiting decision'})`);
+
+  return () => {
+    document.removeEventListener('click', handleActionClick);
+  };
+}
+
+export {
+  initConsent,
+  getConsent,
+  hasConsent,
+  saveConsent,
+  acceptAll,
+  rejectAll,
+  withdrawConsent,
+  whenConsented,
+  openPreferences,
+  CONSENT_CONFIG,
+};
@@ -0,0 +1,236 @@
+/**
+ * Currency Module
+ * Tracks the currency prices are shown in, infers a default from the browser's
+ * language, persists the visitor's choice and formats amounts with Intl in the
+ * page's locale.
+ *
+ * @module currency
+ * @dependencies: [site-config, i18n]
+ */
+
+import { SITE_CONFIG } from './site-config.js';
+import { t, getLocale } from './i18n.js';
+
+/**
+ * Currency configuration
+ */
+const CURRENCY_CONFIG = Object.freeze({
+  STORAGE_KEY: 'pricing_currency',
+  EVENTS: Object.freeze({
+    CHANGE: 'currency:change',
+  }),
+  // Message keys for plan prices, see src/locales
+  MESSAGES: Object.freeze({
+    FREE: 'price.free',
+    PER_PERIOD: 'price.perPeriod',
+  }),
+});
+
+/**
+ * Currency prices are currently shown in
+ * @type {string|null}
+ */
+let activeCurrency = null;
+
+/**
+ * Lists the currencies that have price tables
+ * @returns {string[]} ISO 4217 currency codes
+ */
+function getSupportedCurrencies() {
+  return Object.keys(SITE_CONFIG.pricing.currencies);
+}
+
+/**
+ * Checks whether prices are available in a currency
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {boolean} Whether the currency is supported
+ */
+function isSupportedCurrency(currency) {
+  return getSupportedCurrencies().includes(currency);
+}
+
+/**
+ * Returns the browser's preferred language, whose region suggests a currency
+ * @returns {string} BCP 47 language tag
+ */
+function getBrowserLanguage() {
+  return (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+}
+
+/**
+ * Infers a currency from a language tag via its (possibly implied) region,
+ * e.g. `en-GB` → GBP and `de` → EUR
+ * @param {string} [language] - BCP 47 language tag
+ * @returns {string} Supported currency code
+ */
+function detectCurrency(language = getBrowserLanguage()) {
+  try {
+    const { region } = new Intl.Locale(language).maximize();
+    const match = Object.entries(SITE_CONFIG.pricing.currencies).find(([, currency]) =>
+      currency.regions.includes(region)
+    );
+
+    if (match) {
+      return match[0];
+    }
+  } catch (error) {
+    console.warn(`[Currency] Could not infer currency from "${language}"`);
+  }
+
+  return SITE_CONFIG.pricing.defaultCurrency;
+}
+
+/**
+ * Reads the persisted currency
+ * @returns {string|null} Stored currency, or null if none is stored
+ */
+function loadCurrency() {
+  try {
+    const stored = localStorage.getItem(CURRENCY_CONFIG.STORAGE_KEY);
+    return isSupportedCurrency(stored) ? stored : null;
+  } catch (error) {
+    // localStorage might be unavailable
+    console.warn('[Currency] localStorage unavailable for currency');
+    return null;
+  }
+}
+
+/**
+ * Returns the currency prices are shown in: the persisted choice, otherwise
+ * the currency inferred from the browser's language
+ * @returns {string} Currency code
+ */
+function getCurrency() {
+  if (!activeCurrency) {
+    activeCurrency = loadCurrency() || detectCurrency();
+  }
+  return activeCurrency;
+}
+
+/**
+ * Switches and persists the active currency, then dispatches `currency:change`
+ * on the document with `{ currency, previous }`
+ * @param {string} currency - Currency code
+ * @returns {boolean} Whether the currency was changed
+ */
+function setCurrency(currency) {
+  if (!isSupportedCurrency(currency)) {
+    console.warn(`[Currency] Unsupported currency "${currency}"`);
+    return false;
+  }
+
+  const previous = getCurrency();
+  if (currency === previous) {
+    return false;
+  }
+
+  activeCurrency = currency;
+
+  try {
+    localStorage.setItem(CURRENCY_CONFIG.STORAGE_KEY, currency);
+  } catch (error) {
+    console.warn('[Currency] Could not persist currency');
+  }
+
+  document.dispatchEvent(
+    new CustomEvent(CURRENCY_CONFIG.EVENTS.CHANGE, {
+      detail: { currency, previous },
+    })
+  );
+
+  return true;
+}
+
+/**
+ * Returns a plan's price table in a currency, falling back to the default currency
+ * @param {Object} plan - Plan from site.config.json
+ * @param {string} [currency] - Currency code, the active currency by default
+ * @returns {{monthly: number, annual: (number|undefined)}} Price table
+ */
+function getPriceTable(plan, currency = getCurrency()) {
+  return plan.prices[currency] || plan.prices[SITE_CONFIG.pricing.defaultCurrency];
+}
+
+/**
+ * Returns a plan's price for a billing period. Plans without an annual price
+ * are billed at twelve times the monthly price.
+ * @param {Object} plan - Plan from site.config.json
+ * @param {string} period - `monthly` or `annual`
+ * @param {string} [currency] - Currency code, the active currency by default
+ * @returns {number} Price for the period
+ */
+function getPlanPrice(plan, period, currency = getCurrency()) {
+  const prices = getPriceTable(plan, currency);
+
+  if (period === 'annual') {
+    return prices.annual ?? prices.monthly * 12;
+  }
+  return prices.monthly;
+}
+
+/**
+ * Formats a plan's price for a billing period, e.g. `$19/month`, or `Free`
+ * @param {Object} plan - Plan from site.config.json
+ * @param {string} period - `monthly` or `annual`
+ * @param {string} [currency] - Currency code, the active currency by default
+ * @returns {string} Formatted price
+ */
+function formatPlanPrice(plan, period, currency = getCurrency()) {
+  const amount = getPlanPrice(plan, period, currency);
+  const { MESSAGES } = CURRENCY_CONFIG;
+
+  return amount === 0
+    ? t(MESSAGES.FREE)
+    : t(MESSAGES.PER_PERIOD, { price: formatCurrency(amount, { currency }), period });
+}
+
+/**
+ * Formats an amount of money
+ * @param {number} amount - Amount
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Currency code, the active currency by default
+ * @param {string} [options.locale] - Locale, the page's by default
+ * @param {string} [options.currencyDisplay] - Intl currency display, e.g. `name`
+ * @returns {string} Formatted amount, e.g. `$19` or `19 €`
+ */
+function formatCurrency(amount, { currency = getCurrency(), locale = getLocale(), currencyDisplay } = {}) {
+  const options = {
+    style: 'currency',
+    currency,
+    currencyDisplay,
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+  };
+
+  try {
+    return new Intl.NumberFormat(locale, options).format(amount);
+  } catch (error) {
+    // Unknown locale tags fall back to English formatting
+    return new Intl.NumberFormat('en-US', options).format(amount);
+  }
+}
+
+/**
+ * Returns a currency's symbol in the page's locale, e.g. `€`
+ * @param {string} currency - Currency code
+ * @returns {string} Currency symbol
+ */
+function getCurrencySymbol(currency) {
+  const part = new Intl.NumberFormat(getLocale(), { style: 'currency', currency })
+    .formatToParts(0)
+    .find(({ type }) => type === 'currency');
+
+  return part ? part.value : currency;
+}
+
+export {
+  getSupportedCurrencies,
+  detectCurrency,
+  getCurrency,
+  setCurrency,
+  getPriceTable,
+  getPlanPrice,
+  formatPlanPrice,
+  formatCurrency,
+  getCurrencySymbol,
+  CURRENCY_CONFIG,
+};
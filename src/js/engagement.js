@@ -0,0 +1,299 @@
+/**
+ * Engagement Tracking
+ * Page-level engagement for every section: when a section was first seen, how
+ * long it was visible in total (paused while the tab is hidden) and how far
+ * down the page the visitor scrolled. Everything is reported through the
+ * analytics dispatcher under the `engagement` category.
+ *
+ * @module engagement
+ */
+
+import { track } from './analytics.js';
+
+/**
+ * Engagement configuration
+ */
+const ENGAGEMENT_CONFIG = Object.freeze({
+  SECTIONS: Object.freeze({
+    hero: '.hero',
+    features: '#features',
+    workflow: '#workflow',
+    testimonials: '#testimonials',
+    pricing: '#pricing',
+    signup: '#signup',
+    contact: '#contact',
+  }),
+  // A section counts as visible when this share of it, or of the viewport, shows it
+  VISIBLE_RATIO: 0.5,
+  OBSERVER_THRESHOLDS: [0, 0.25, 0.5, 0.75, 1],
+  SCROLL_MILESTONES: Object.freeze([25, 50, 75, 100]),
+  ANALYTICS_CATEGORY: 'engagement',
+  EVENTS: Object.freeze({
+    SECTION_VIEW: 'section_view',
+    SECTION_DWELL: 'section_dwell',
+    SCROLL_MILESTONE: 'scroll_milestone',
+  }),
+});
+
+/**
+ * Engagement state of one section
+ * @typedef {Object} SectionEngagement
+ * @property {number|null} firstViewAt - Milliseconds after navigation when first visible
+ * @property {number|null} visibleSince - Start of the current visible period
+ * @property {boolean} inView - Whether the section is on screen, regardless of tab visibility
+ * @property {number} dwell - Total visible milliseconds
+ * @property {number} reportedDwell - Visible milliseconds already reported
+ */
+
+/**
+ * Tracker state
+ */
+const state = {
+  sections: new Map(),
+  milestones: new Set(),
+  observer: null,
+  scrollFrame: null,
+};
+
+/**
+ * Milliseconds since navigation start
+ * @returns {number} Timestamp
+ */
+function now() {
+  return performance.now();
+}
+
+/**
+ * Reports an engagement event
+ * @param {string} name - Event name from ENGAGEMENT_CONFIG.EVENTS
+ * @param {Object} data - Label, value and additional event metadata
+ */
+function trackEngagement(name, data) {
+  track(name, { category: ENGAGEMENT_CONFIG.ANALYTICS_CATEGORY, ...data });
+}
+
+/**
+ * Starts a visible period, unless one is running or the tab is hidden
+ * @param {SectionEngagement} section - Section state
+ */
+function startDwell(section) {
+  if (section.visibleSince === null && document.visibilityState === 'visible') {
+    section.visibleSince = now();
+  }
+}
+
+/**
+ * Ends the running visible period and adds it to the section's dwell time
+ * @param {SectionEngagement} section - Section state
+ */
+function stopDwell(section) {
+  if (section.visibleSince !== null) {
+    section.dwell += now() - section.visibleSince;
+    section.visibleSince = null;
+  }
+}
+
+/**
+ * Reports the dwell time each section gained since the last report. `value` is
+ * the gained milliseconds, so summing values gives a section's total dwell
+ * time; `dwellTime` is the running total.
+ */
+function reportDwell() {
+  state.sections.forEach((section, name) => {
+    const running = section.visibleSince === null ? 0 : now() - section.visibleSince;
+    const total = section.dwell + running;
+    const gained = total - section.reportedDwell;
+
+    if (gained < 1) return;
+
+    section.reportedDwell = total;
+    trackEngagement(ENGAGEMENT_CONFIG.EVENTS.SECTION_DWELL, {
+      label: name,
+      value: Math.round(gained),
+      section: name,
+      dwellTime: Math.round(total),
+    });
+  });
+}
+
+/**
+ * Checks whether an observer entry shows enough of a section to count as
+ * visible. Sections taller than the viewport count once they fill most of it.
+ * @param {IntersectionObserverEntry} entry - Observer entry
+ * @returns {boolean} Whether the section is visible
+ */
+function isEntryVisible(entry) {
+  if (!entry.isIntersecting) return false;
+
+  const viewportHeight = entry.rootBounds?.height || window.innerHeight;
+  return (
+    entry.intersectionRatio >= ENGAGEMENT_CONFIG.VISIBLE_RATIO ||
+    entry.intersectionRect.height >= viewportHeight * ENGAGEMENT_CONFIG.VISIBLE_RATIO
+  );
+}
+
+/**
+ * Updates section state from observer entries
+ * @param {IntersectionObserverEntry[]} entries - Observer entries
+ */
+function handleIntersection(entries) {
+  entries.forEach((entry) => {
+    const name = entry.target.dataset.engagementSection;
+    const section = state.sections.get(name);
+    if (!section) return;
+
+    section.inView = isEntryVisible(entry);
+
+    if (!section.inView) {
+      stopDwell(section);
+      return;
+    }
+
+    startDwell(section);
+
+    if (section.firstViewAt === null) {
+      section.firstViewAt = now();
+      trackEngagement(ENGAGEMENT_CONFIG.EVENTS.SECTION_VIEW, {
+        label: name,
+        section: name,
+        timeToView: Math.round(section.firstViewAt),
+      });
+    }
+  });
+}
+
+/**
+ * Pauses dwell time while the tab is hidden and reports it, as the page may
+ * never become visible again
+ */
+function handleVisibilityChange() {
+  if (document.visibilityState === 'hidden') {
+    state.sections.forEach(stopDwell);
+    reportDwell();
+  } else {
+    state.sections.forEach((section) => {
+      if (section.inView) startDwell(section);
+    });
+  }
+}
+
+/**
+ * Calculates how far down the page the visitor has scrolled
+ * @returns {number} Percentage of the page seen, 0 to 100
+ */
+function calculatePageDepth() {
+  const pageHeight = document.documentElement.scrollHeight;
+  if (pageHeight === 0) return 0;
+
+  const seen = window.scrollY + window.innerHeight;
+  return Math.min(100, Math.round((seen / pageHeight) * 100));
+}
+
+/**
+ * Tracks each page scroll milestone once
+ */
+function checkMilestones() {
+  state.scrollFrame = null;
+  const depth = calculatePageDepth();
+
+  ENGAGEMENT_CONFIG.SCROLL_MILESTONES.forEach((milestone) => {
+    if (depth >= milestone && !state.milestones.has(milestone)) {
+      state.milestones.add(milestone);
+      trackEngagement(ENGAGEMENT_CONFIG.EVENTS.SCROLL_MILESTONE, {
+        label: `${milestone}%`,
+        value: milestone,
+        timeToMilestone: Math.round(now()),
+      });
+    }
+  });
+}
+
+/**
+ * Throttles milestone checks to one per frame
+ */
+function handleScroll() {
+  if (state.scrollFrame === null) {
+    state.scrollFrame = requestAnimationFrame(checkMilestones);
+  }
+}
+
+/**
+ * Starts observing every section present on the page
+ */
+function observeSections() {
+  if (!('IntersectionObserver' in window)) {
+    console.warn('[Engagement] IntersectionObserver not supported, tracking scroll milestones only');
+    return;
+  }
+
+  state.observer = new IntersectionObserver(handleIntersection, {
+    threshold: ENGAGEMENT_CONFIG.OBSERVER_THRESHOLDS,
+  });
+
+  Object.entries(ENGAGEMENT_CONFIG.SECTIONS).forEach(([name, selector]) => {
+    const element = document.querySelector(selector);
+    if (!element) {
+      console.warn(`[Engagement] Section "${name}" not found`);
+      return;
+    }
+
+    element.dataset.engagementSection = name;
+    state.sections.set(name, {
+      firstViewAt: null,
+      visibleSince: null,
+      inView: false,
+      dwell: 0,
+      reportedDwell: 0,
+    });
+    state.observer.observe(element);
+  });
+}
+
+/**
+ * Returns a snapshot of every section's engagement
+ * @returns {Object<string, {firstViewAt: (number|null), dwellTime: number}>} Engagement by section
+ */
+function getEngagement() {
+  const snapshot = {};
+  state.sections.forEach((section, name) => {
+    const running = section.visibleSince === null ? 0 : now() - section.visibleSince;
+    snapshot[name] = {
+      firstViewAt: section.firstViewAt === null ? null : Math.round(section.firstViewAt),
+      dwellTime: Math.round(section.dwell + running),
+    };
+  });
+  return snapshot;
+}
+
+/**
+ * Starts engagement tracking. Runs after the section modules so every
+ * section is rendered.
+ * @returns {Function} Cleanup function
+ */
+function initEngagement() {
+  observeSections();
+
+  // Capture listeners run before the beacon transport's, so the dwell report
+  // is part of the batch it sends when the page is hidden
+  window.addEventListener('visibilitychange', handleVisibilityChange, true);
+  window.addEventListener('pagehide', reportDwell, true);
+  window.addEventListener('scroll', handleScroll, { passive: true });
+  checkMilestones();
+
+  console.log(`[Engagement] Tracking ${state.sections.size} sections`);
+
+  return () => {
+    reportDwell();
+    state.observer?.disconnect();
+    cancelAnimationFrame(state.scrollFrame);
+    window.removeEventListener('visibilitychange', handleVisibilityChange, true);
+    window.removeEventListener('pagehide', reportDwell, true);
+    window.removeEventListener('scroll', handleScroll);
+    state.sections.clear();
+    state.milestones.clear();
+    state.observer = null;
+    state.scrollFrame = null;
+  };
+}
+
+export { initEngagement, getEngagement, ENGAGEMENT_CONFIG };
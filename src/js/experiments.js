@@ -0,0 +1,309 @@
+/**
+ * Experiments Module
+ * Runs the A/B experiments declared under `experiments` in site.config.json.
+ * Each visitor gets an id and is bucketed into a weighted variant by hashing
+ * that id, so assignments are sticky without storing them. The id lasts for
+ * the browser session until analytics consent is given, and is then kept in
+ * localStorage so later visits see the same variants.
+ *
+ * Section modules call `applyExperiments()` once their markup is rendered: it
+ * applies the variant's copy and DOM changes for that section and sends an
+ * `exposure` event the first time an experiment is rendered. Every analytics
+ * event carries the visitor's variants as `experiment_<id>` context. Copy is
+ * given as message keys, so variants are shown in the visitor's language.
+ *
+ * @module experiments
+ */
+
+import { SITE_CONFIG } from './site-config.js';
+import { track, setContext } from './analytics.js';
+import { hasConsent, whenConsented, CONSENT_CONFIG } from './consent.js';
+import { t } from './i18n.js';
+
+/**
+ * Experiments configuration
+ */
+const EXPERIMENTS_CONFIG = Object.freeze({
+  VISITOR_STORAGE_KEY: 'visitor_id',
+  // `?experiment=heroCta:noCta` forces a variant, e.g. for QA
+  OVERRIDE_PARAM: 'experiment',
+  EXPOSURE_EVENT: 'exposure',
+  ANALYTICS_CATEGORY: 'experiment',
+  CONTEXT_PREFIX: 'experiment_',
+});
+
+/**
+ * Variant DOM change
+ * @typedef {Object} VariantChange
+ * @property {string} selector - Elements to change, within the section
+ * @property {string} [message] - Message key of the replacement text, see src/locales
+ * @property {Object<string, string>} [messageAttributes] - Message keys of attributes to set
+ * @property {string} [text] - Replacement text that is the same in every locale
+ * @property {Object<string, string>} [attributes] - Attributes to set, the same in every locale
+ * @property {boolean} [hidden] - Hides or shows the elements
+ * @property {string} [className] - Classes to add
+ */
+
+/**
+ * Assigned variant per experiment id
+ * @type {Map<string, string>}
+ */
+const assignments = new Map();
+
+/**
+ * Experiments whose exposure has been tracked on this page
+ * @type {Set<string>}
+ */
+const exposed = new Set();
+
+/**
+ * Creates a random id
+ * @returns {string} Id
+ */
+function createId() {
+  // randomUUID is only available in secure contexts
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Visitor id for this page view when storage is unavailable
+ * @type {string|null}
+ */
+let fallbackVisitorId = null;
+
+/**
+ * Returns the visitor's id, creating it on the first visit. It is kept in
+ * sessionStorage until analytics consent is given, then in localStorage.
+ * @returns {string} Visitor id
+ */
+function getVisitorId() {
+  const key = EXPERIMENTS_CONFIG.VISITOR_STORAGE_KEY;
+  try {
+    let visitorId = localStorage.getItem(key) || sessionStorage.getItem(key);
+    if (!visitorId) {
+      visitorId = createId();
+      sessionStorage.setItem(key, visitorId);
+    }
+    if (hasConsent(CONSENT_CONFIG.CATEGORIES.ANALYTICS)) {
+      localStorage.setItem(key, visitorId);
+      sessionStorage.removeItem(key);
+    }
+    return visitorId;
+  } catch (error) {
+    // Without storage the visitor is bucketed for this page view only
+    console.warn('[Experiments] Storage unavailable for visitor id');
+    fallbackVisitorId = fallbackVisitorId || createId();
+    return fallbackVisitorId;
+  }
+}
+
+/**
+ * Hashes a string to a number in [0, 1) with 32-bit FNV-1a
+ * @param {string} value - String to hash
+ * @returns {number} Hash in [0, 1)
+ */
+function hashToUnit(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Reads variants forced with the override URL parameter
+ * @returns {Map<string, string>} Forced variant per experiment id
+ */
+function getOverrides() {
+  const overrides = new Map();
+  new URLSearchParams(window.location.search)
+    .getAll(EXPERIMENTS_CONFIG.OVERRIDE_PARAM)
+    .forEach((value) => {
+      const [experimentId, variant] = value.split(':');
+      if (experimentId && variant) {
+        overrides.set(experimentId, variant);
+      }
+    });
+  return overrides;
+}
+
+/**
+ * Picks a variant by weight for a visitor. Hashing the experiment id with the
+ * visitor id keeps buckets independent across experiments.
+ * @param {string} experimentId - Experiment id
+ * @param {Object} experiment - Experiment from site.config.json
+ * @param {string} visitorId - Visitor id
+ * @returns {string} Variant name
+ */
+function bucket(experimentId, experiment, visitorId) {
+  const variants = Object.entries(experiment.variants);
+  const totalWeight = variants.reduce((sum, [, { weight }]) => sum + weight, 0);
+  let point = hashToUnit(`${visitorId}:${experimentId}`) * totalWeight;
+
+  for (const [name, { weight }] of variants) {
+    if (point < weight) {
+      return name;
+    }
+    point -= weight;
+  }
+
+  return variants[0][0];
+}
+
+/**
+ * Lists the configured experiments
+ * @returns {Array<[string, Object]>} Experiment id and definition pairs
+ */
+function getExperiments() {
+  return Object.entries(SITE_CONFIG.experiments || {});
+}
+
+/**
+ * Returns the visitor's variant of an experiment
+ * @param {string} experimentId - Experiment id
+ * @returns {string|null} Variant name, or null for unknown experiments
+ */
+function getVariant(experimentId) {
+  return assignments.get(experimentId) || null;
+}
+
+/**
+ * Returns every assignment
+ * @returns {Object<string, string>} Variant per experiment id
+ */
+function getAssignments() {
+  return Object.fromEntries(assignments);
+}
+
+/**
+ * Returns the value a flag has in the visitor's variants
+ * @param {string} flag - Flag name from `flags` in site.config.json
+ * @returns {boolean|undefined} Flag value, or undefined if no variant sets it
+ */
+function getExperimentFlag(flag) {
+  for (const [experimentId, experiment] of getExperiments()) {
+    const value = experiment.variants[getVariant(experimentId)]?.flags?.[flag];
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Applies one change to every matching element in a section
+ * @param {HTMLElement} root - Section element
+ * @param {VariantChange} change - Change to apply
+ */
+function applyChange(
+  root,
+  { selector, message, messageAttributes, text, attributes, hidden, className }
+) {
+  const elements = root.querySelectorAll(selector);
+
+  if (elements.length === 0) {
+    console.warn(`[Experiments] No elements match "${selector}"`);
+    return;
+  }
+
+  elements.forEach((element) => {
+    if (message !== undefined) {
+      element.textContent = t(message);
+    } else if (text !== undefined) {
+      element.textContent = text;
+    }
+    Object.entries(attributes || {}).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    Object.entries(messageAttributes || {}).forEach(([name, key]) => {
+      element.setAttribute(name, t(key));
+    });
+    if (hidden !== undefined) {
+      element.hidden = hidden;
+    }
+    if (className) {
+      element.classList.add(...className.split(/\s+/));
+    }
+  });
+}
+
+/**
+ * Applies the visitor's variant changes to a rendered section and tracks the
+ * exposure of each experiment running in it, once per page view
+ * @param {string} section - Section name, e.g. `hero`
+ * @param {HTMLElement} root - Section element
+ */
+function applyExperiments(section, root) {
+  getExperiments().forEach(([experimentId, experiment]) => {
+    const variant = getVariant(experimentId);
+    if (!variant || !experiment.sections.includes(section)) {
+      return;
+    }
+
+    try {
+      (experiment.variants[variant].changes?.[section] || []).forEach((change) =>
+        applyChange(root, change)
+      );
+    } catch (error) {
+      console.error(`[Experiments] Failed to apply "${experimentId}" to ${section}:`, error);
+    }
+
+    if (!exposed.has(experimentId)) {
+      exposed.add(experimentId);
+      track(EXPERIMENTS_CONFIG.EXPOSURE_EVENT, {
+        category: EXPERIMENTS_CONFIG.ANALYTICS_CATEGORY,
+        label: `${experimentId}:${variant}`,
+        experiment: experimentId,
+        variant,
+        section,
+      });
+    }
+  });
+}
+
+/**
+ * Assigns the visitor to every experiment and adds the assignments to the
+ * analytics context. Must run before section modules apply experiments.
+ * @returns {Function} Cleanup function
+ */
+function initExperiments() {
+  const visitorId = getVisitorId();
+  const overrides = getOverrides();
+
+  getExperiments().forEach(([experimentId, experiment]) => {
+    const forced = overrides.get(experimentId);
+    const variant =
+      forced && experiment.variants[forced] ? forced : bucket(experimentId, experiment, visitorId);
+
+    assignments.set(experimentId, variant);
+    setContext({ [`${EXPERIMENTS_CONFIG.CONTEXT_PREFIX}${experimentId}`]: variant });
+  });
+
+  console.log('[Experiments] Assigned', getAssignments());
+
+  // Persists the id once analytics consent is given
+  const unsubscribe = whenConsented(CONSENT_CONFIG.CATEGORIES.ANALYTICS, getVisitorId);
+
+  return () => {
+    unsubscribe();
+    assignments.forEach((variant, experimentId) => {
+      setContext({ [`${EXPERIMENTS_CONFIG.CONTEXT_PREFIX}${experimentId}`]: undefined });
+    });
+    assignments.clear();
+    exposed.clear();
+  };
+}
+
+export {
+  initExperiments,
+  applyExperiments,
+  getVariant,
+  getAssignments,
+  getExperimentFlag,
+  getVisitorId,
+  EXPERIMENTS_CONFIG,
+};
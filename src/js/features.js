@@ -7,6 +7,9 @@
  * @dependencies: ["Intersection Observer API", "FontAwesome"]
  */
 
+import { applyExperiments } from './experiments.js';
+import { getFlag, onFlagChange } from './flags.js';
+
 /**
  * Configuration for features section behavior
  */
@@ -16,6 +19,8 @@ const FEATURES_CONFIG = Object.freeze({
   ANIMATION_DELAY_INCREMENT: 150,
   ICON_LOAD_TIMEOUT: 5000,
   FEATURE_FLAG_CLASS: 'no-animations',
+  // Feature flag that adds FEATURE_FLAG_CLASS, see flags.js
+  ANIMATIONS_FLAG: 'featureAnimations',
   SELECTORS: {
     SECTION: '.features',
     CARDS: '.feature-card',
@@ -359,6 +364,17 @@ async function initializeFeatures() {
       return;
     }
 
+    // Variant copy must be in place before the section is revealed
+    applyExperiments('features', featuresSection);
+
+    // The flag drives the kill switch class, which can also be set in the markup
+    if (!getFlag(FEATURES_CONFIG.ANIMATIONS_FLAG)) {
+      featuresSection.classList.add(FEATURES_CONFIG.FEATURE_FLAG_CLASS);
+    }
+    onFlagChange(FEATURES_CONFIG.ANIMATIONS_FLAG, (enabled) => {
+      featuresSection.classList.toggle(FEATURES_CONFIG.FEATURE_FLAG_CLASS, !enabled);
+    });
+
     // Initialize FontAwesome icons
     await initializeFontAwesome();
 
@@ -382,16 +398,6 @@ async function initializeFeatures() {
   }
 }
 
-/**
- * Initialize on DOM ready
- */
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializeFeatures);
-} else {
-  // DOM already loaded
-  initializeFeatures();
-}
-
 /**
  * Handle reduced motion preference changes
  */
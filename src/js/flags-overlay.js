@@ -0,0 +1,151 @@
+/**
+ * Feature Flag Debug Overlay
+ * Lists every flag with its value and the source that won, opened with
+ * `?flags=debug`. Boolean flags can be toggled, which stores a localStorage
+ * override. Loaded on demand by the flag service.
+ *
+ * @module flags-overlay
+ */
+
+import { getFlags, setFlagOverride, clearFlagOverride, FLAGS_CONFIG } from './flags.js';
+
+/**
+ * Overlay configuration
+ */
+const OVERLAY_CONFIG = Object.freeze({
+  TITLE: 'Feature flags',
+  CLASSES: Object.freeze({
+    ROOT: 'flags-overlay',
+    HEADER: 'flags-overlay__header',
+    TITLE: 'flags-overlay__title',
+    TABLE: 'flags-overlay__table',
+    VALUE: 'flags-overlay__value',
+    SOURCE: 'flags-overlay__source',
+    ACTIONS: 'flags-overlay__actions',
+    BUTTON: 'flags-overlay__button',
+  }),
+});
+
+/**
+ * Creates an element with a class and optional text
+ * @param {string} tagName - Element name
+ * @param {string} [className] - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} Element
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/**
+ * Creates a button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @param {string} [ariaLabel] - Accessible name, if different from the text
+ * @returns {HTMLButtonElement} Button
+ */
+function createButton(label, onClick, ariaLabel) {
+  const button = createElement('button', OVERLAY_CONFIG.CLASSES.BUTTON, label);
+  button.type = 'button';
+  if (ariaLabel) {
+    button.setAttribute('aria-label', ariaLabel);
+  }
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates the table body rows, one per flag
+ * @param {Function} onOverride - Called after a flag is toggled
+ * @returns {HTMLTableSectionElement} Table body
+ */
+function createRows(onOverride) {
+  const { CLASSES } = OVERLAY_CONFIG;
+  const body = document.createElement('tbody');
+
+  getFlags().forEach(({ name, type, value, source }) => {
+    const row = document.createElement('tr');
+
+    const nameCell = createElement('th', '', name);
+    nameCell.scope = 'row';
+
+    const valueCell = createElement('td', CLASSES.VALUE, JSON.stringify(value));
+    if (type === 'boolean') {
+      valueCell.appendChild(
+        createButton(
+          'Toggle',
+          () => {
+            setFlagOverride(name, !value);
+            onOverride();
+          },
+          `Toggle ${name}`
+        )
+      );
+    }
+
+    row.append(nameCell, valueCell, createElement('td', CLASSES.SOURCE, source));
+    body.appendChild(row);
+  });
+
+  return body;
+}
+
+/**
+ * Renders the overlay and keeps it current as flags change
+ * @returns {Function} Removes the overlay
+ */
+function renderFlagsOverlay() {
+  const { CLASSES } = OVERLAY_CONFIG;
+  const overlay = createElement('aside', CLASSES.ROOT);
+  overlay.setAttribute('aria-label', OVERLAY_CONFIG.TITLE);
+
+  const header = createElement('div', CLASSES.HEADER);
+  header.append(
+    createElement('h2', CLASSES.TITLE, OVERLAY_CONFIG.TITLE),
+    createButton('×', () => remove(), 'Close feature flags')
+  );
+
+  const table = createElement('table', CLASSES.TABLE);
+  const head = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  ['Flag', 'Value', 'Source'].forEach((label) => {
+    const cell = createElement('th', '', label);
+    cell.scope = 'col';
+    headRow.appendChild(cell);
+  });
+  head.appendChild(headRow);
+
+  // Overrides can change a flag's source without changing its value, which
+  // dispatches no change event, so the overlay also updates after its own actions
+  const update = () => table.tBodies[0].replaceWith(createRows(update));
+  table.append(head, createRows(update));
+
+  const actions = createElement('div', CLASSES.ACTIONS);
+  actions.appendChild(
+    createButton('Clear overrides', () => {
+      clearFlagOverride();
+      update();
+    })
+  );
+
+  overlay.append(header, table, actions);
+  document.body.appendChild(overlay);
+
+  document.addEventListener(FLAGS_CONFIG.EVENTS.CHANGE, update);
+
+  function remove() {
+    document.removeEventListener(FLAGS_CONFIG.EVENTS.CHANGE, update);
+    overlay.remove();
+  }
+
+  return remove;
+}
+
+export { renderFlagsOverlay };
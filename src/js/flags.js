@@ -0,0 +1,350 @@
+/**
+ * Feature Flag Service
+ * Resolves typed feature flags from layered sources. Highest precedence first:
+ *
+ * 1. URL parameters, e.g. `?flag.heroCta=off`
+ * 2. Overrides stored in localStorage with `setFlagOverride()`
+ * 3. The visitor's experiment variant (see experiments.js)
+ * 4. `flags.json` served from the public directory, editable without a rebuild
+ * 5. Build-time defaults from `flags` in site.config.json
+ *
+ * Each flag's type is the type of its build-time default; values from the
+ * other sources are parsed to that type and ignored if they do not fit.
+ * Changes are announced as `flags:change` events on the document, and
+ * `?flags=debug` opens an overlay listing every flag and the source that won.
+ *
+ * @module flags
+ */
+
+import { SITE_CONFIG } from './site-config.js';
+import { getExperimentFlag } from './experiments.js';
+
+/**
+ * Flag service configuration
+ */
+const FLAGS_CONFIG = Object.freeze({
+  URL_PREFIX: 'flag.',
+  DEBUG_PARAM: 'flags',
+  DEBUG_VALUE: 'debug',
+  STORAGE_KEY: 'feature_flags',
+  REMOTE_PATH: `${import.meta.env.BASE_URL}flags.json`,
+  // Keys honoured before the flag service, still accepted in URLs and localStorage
+  LEGACY_KEYS: Object.freeze({
+    heroCta: 'hero_cta_button',
+  }),
+  SOURCES: Object.freeze({
+    URL: 'url',
+    STORAGE: 'localStorage',
+    EXPERIMENT: 'experiment',
+    REMOTE: 'flags.json',
+    DEFAULT: 'default',
+  }),
+  EVENTS: Object.freeze({
+    CHANGE: 'flags:change',
+  }),
+});
+
+/**
+ * Resolved flag
+ * @typedef {Object} ResolvedFlag
+ * @property {string} name - Flag name
+ * @property {string} type - `boolean`, `number` or `string`
+ * @property {boolean|number|string} value - Resolved value
+ * @property {string} source - One of FLAGS_CONFIG.SOURCES
+ */
+
+/**
+ * Values loaded from flags.json
+ * @type {Object}
+ */
+let remoteFlags = {};
+
+/**
+ * Resolved flags by name
+ * @type {Map<string, ResolvedFlag>}
+ */
+let resolved = new Map();
+
+/**
+ * Parses a raw value to a flag's type
+ * @param {*} raw - Raw value from a URL, storage or JSON
+ * @param {string} type - Flag type
+ * @returns {boolean|number|string|undefined} Parsed value, or undefined if it does not fit
+ */
+function parseValue(raw, type) {
+  if (raw === undefined || raw === null) {
+    return undefined;
+  }
+  if (typeof raw === type) {
+    return raw;
+  }
+
+  const text = String(raw).trim().toLowerCase();
+
+  if (type === 'boolean') {
+    if (['on', 'true', '1'].includes(text)) return true;
+    if (['off', 'false', '0'].includes(text)) return false;
+    return undefined;
+  }
+  if (type === 'number') {
+    const number = Number(text);
+    return text !== '' && Number.isFinite(number) ? number : undefined;
+  }
+  return String(raw);
+}
+
+/**
+ * Reads the overrides stored in localStorage
+ * @returns {Object} Stored overrides by flag name
+ */
+function loadOverrides() {
+  try {
+    return JSON.parse(localStorage.getItem(FLAGS_CONFIG.STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('[Flags] Could not read stored flag overrides');
+    return {};
+  }
+}
+
+/**
+ * Stores the localStorage overrides
+ * @param {Object} overrides - Overrides by flag name
+ */
+function saveOverrides(overrides) {
+  try {
+    if (Object.keys(overrides).length === 0) {
+      localStorage.removeItem(FLAGS_CONFIG.STORAGE_KEY);
+    } else {
+      localStorage.setItem(FLAGS_CONFIG.STORAGE_KEY, JSON.stringify(overrides));
+    }
+  } catch (error) {
+    console.warn('[Flags] Could not persist flag overrides');
+  }
+}
+
+/**
+ * Reads a legacy localStorage key
+ * @param {string} name - Flag name
+ * @returns {string|null} Stored value
+ */
+function readLegacyStorage(name) {
+  const key = FLAGS_CONFIG.LEGACY_KEYS[name];
+  if (!key) return null;
+
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolves one flag from its sources in precedence order
+ * @param {string} name - Flag name
+ * @param {URLSearchParams} params - Current URL parameters
+ * @param {Object} overrides - localStorage overrides
+ * @returns {ResolvedFlag} Resolved flag
+ */
+function resolveFlag(name, params, overrides) {
+  const { SOURCES, URL_PREFIX, LEGACY_KEYS } = FLAGS_CONFIG;
+  const defaultValue = SITE_CONFIG.flags[name];
+  const type = typeof defaultValue;
+
+  const candidates = [
+    [SOURCES.URL, params.get(`${URL_PREFIX}${name}`) ?? params.get(LEGACY_KEYS[name])],
+    [SOURCES.STORAGE, overrides[name] ?? readLegacyStorage(name)],
+    [SOURCES.EXPERIMENT, getExperimentFlag(name)],
+    [SOURCES.REMOTE, remoteFlags[name]],
+  ];
+
+  for (const [source, raw] of candidates) {
+    const value = parseValue(raw, type);
+    if (value !== undefined) {
+      return { name, type, value, source };
+    }
+    if (raw !== undefined && raw !== null) {
+      console.warn(`[Flags] Ignoring ${source} value "${raw}" for ${type} flag "${name}"`);
+    }
+  }
+
+  return { name, type, value: defaultValue, source: SOURCES.DEFAULT };
+}
+
+/**
+ * Re-resolves every flag and dispatches `flags:change` for each flag whose
+ * value changed, with `{ name, value, previous, source }`
+ */
+function refresh() {
+  const params = new URLSearchParams(window.location.search);
+  const overrides = loadOverrides();
+  const previous = resolved;
+
+  resolved = new Map(
+    Object.keys(SITE_CONFIG.flags).map((name) => [name, resolveFlag(name, params, overrides)])
+  );
+
+  resolved.forEach((flag, name) => {
+    const before = previous.get(name);
+    if (before && before.value !== flag.value) {
+      document.dispatchEvent(
+        new CustomEvent(FLAGS_CONFIG.EVENTS.CHANGE, {
+          detail: { name, value: flag.value, previous: before.value, source: flag.source },
+        })
+      );
+    }
+  });
+}
+
+/**
+ * Loads flags.json. A missing file is not an error.
+ * @returns {Promise<Object>} Flag values by name
+ */
+async function loadRemoteFlags() {
+  try {
+    const response = await fetch(FLAGS_CONFIG.REMOTE_PATH, { cache: 'no-cache' });
+    if (!response.ok) {
+      return {};
+    }
+
+    const flags = await response.json();
+    Object.keys(flags).forEach((name) => {
+      if (!(name in SITE_CONFIG.flags)) {
+        console.warn(`[Flags] flags.json sets unknown flag "${name}"`);
+      }
+    });
+    return flags;
+  } catch (error) {
+    console.warn('[Flags] Could not load flags.json:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Returns a flag's resolved value
+ * @param {string} name - Flag name
+ * @returns {boolean|number|string|undefined} Value, or undefined for unknown flags
+ */
+function getFlag(name) {
+  if (resolved.size === 0) {
+    refresh();
+  }
+  return resolved.get(name)?.value;
+}
+
+/**
+ * Returns every resolved flag with the source that won
+ * @returns {ResolvedFlag[]} Resolved flags
+ */
+function getFlags() {
+  if (resolved.size === 0) {
+    refresh();
+  }
+  return Array.from(resolved.values());
+}
+
+/**
+ * Stores a localStorage override for a flag
+ * @param {string} name - Flag name
+ * @param {boolean|number|string} value - Value of the flag's type
+ * @returns {boolean} Whether the override was stored
+ */
+function setFlagOverride(name, value) {
+  if (!(name in SITE_CONFIG.flags) || typeof value !== typeof SITE_CONFIG.flags[name]) {
+    console.warn(`[Flags] Invalid override for "${name}"`);
+    return false;
+  }
+
+  saveOverrides({ ...loadOverrides(), [name]: value });
+  refresh();
+  return true;
+}
+
+/**
+ * Removes the localStorage overrides of one flag or, without a name, all flags
+ * @param {string} [name] - Flag name
+ */
+function clearFlagOverride(name) {
+  const names = name ? [name] : Object.keys(SITE_CONFIG.flags);
+  const overrides = loadOverrides();
+
+  names.forEach((flag) => {
+    delete overrides[flag];
+    try {
+      if (FLAGS_CONFIG.LEGACY_KEYS[flag]) {
+        localStorage.removeItem(FLAGS_CONFIG.LEGACY_KEYS[flag]);
+      }
+    } catch (error) {
+      // localStorage might be unavailable
+    }
+  });
+
+  saveOverrides(overrides);
+  refresh();
+}
+
+/**
+ * Calls a callback whenever a flag's value changes
+ * @param {string} name - Flag name
+ * @param {Function} callback - Receives the new value and the previous value
+ * @returns {Function} Unsubscribe function
+ */
+function onFlagChange(name, callback) {
+  const handleChange = (event) => {
+    if (event.detail.name === name) {
+      callback(event.detail.value, event.detail.previous);
+    }
+  };
+
+  document.addEventListener(FLAGS_CONFIG.EVENTS.CHANGE, handleChange);
+  return () => document.removeEventListener(FLAGS_CONFIG.EVENTS.CHANGE, handleChange);
+}
+
+/**
+ * Re-resolves flags when another tab changes the stored overrides
+ * @param {StorageEvent} event - Storage event
+ */
+function handleStorage(event) {
+  if (event.key === FLAGS_CONFIG.STORAGE_KEY) {
+    refresh();
+  }
+}
+
+/**
+ * Loads flags.json, resolves every flag and opens the debug overlay when
+ * requested. Must run before section modules read their flags.
+ * @returns {Promise<Function>} Cleanup function
+ */
+async function initFlags() {
+  refresh();
+  remoteFlags = await loadRemoteFlags();
+  refresh();
+
+  window.addEventListener('storage', handleStorage);
+
+  let removeOverlay = () => {};
+  const params = new URLSearchParams(window.location.search);
+  if (params.get(FLAGS_CONFIG.DEBUG_PARAM) === FLAGS_CONFIG.DEBUG_VALUE) {
+    const { renderFlagsOverlay } = await import('./flags-overlay.js');
+    removeOverlay = renderFlagsOverlay();
+  }
+
+  if (import.meta.env.DEV) {
+    const resolved = Object.fromEntries(getFlags().map(({ name, value }) => [name, value]));
+    console.log('[Flags] Resolved', resolved);
+  }
+
+  return () => {
+    window.removeEventListener('storage', handleStorage);
+    removeOverlay();
+  };
+}
+
+export {
+  initFlags,
+  getFlag,
+  getFlags,
+  setFlagOverride,
+  clearFlagOverride,
+  onFlagChange,
+  FLAGS_CONFIG,
+};
@@ -0,0 +1,221 @@
+/**
+ * Funnel Report
+ * Development panel, opened with `?funnel=report`, showing how many sessions
+ * reached each funnel step and the conversion rate between steps. Reads the
+ * `funnel_step` events stored by the local analytics collector
+ * (plugins/analytics-collector.js). Loaded on demand by the funnel module.
+ *
+ * @module funnel-report
+ */
+
+import { FUNNEL_CONFIG } from './funnel.js';
+import { BEACON_CONFIG } from './beacon.js';
+
+/**
+ * Report configuration
+ */
+const REPORT_CONFIG = Object.freeze({
+  TITLE: 'Funnel report',
+  CLASSES: Object.freeze({
+    ROOT: 'funnel-report',
+    HEADER: 'funnel-report__header',
+    TITLE: 'funnel-report__title',
+    SUMMARY: 'funnel-report__summary',
+    TABLE: 'funnel-report__table',
+    BAR: 'funnel-report__bar',
+    ACTIONS: 'funnel-report__actions',
+    BUTTON: 'funnel-report__button',
+  }),
+});
+
+/**
+ * Conversion of one funnel step
+ * @typedef {Object} StepConversion
+ * @property {string} id - Step id
+ * @property {string} label - Step label
+ * @property {number} sessions - Sessions that reached this step and every earlier one
+ * @property {number|null} fromPrevious - Share of the previous step's sessions, 0 to 1
+ * @property {number|null} overall - Share of the first step's sessions, 0 to 1
+ */
+
+/**
+ * Loads the funnel step events from the local collector
+ * @returns {Promise<Array<Object>>} Collected events
+ */
+async function loadStepEvents() {
+  const params = new URLSearchParams({ name: FUNNEL_CONFIG.STEP_EVENT });
+  const response = await fetch(`${BEACON_CONFIG.ENDPOINT}?${params}`, { cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Collector responded with ${response.status}`);
+  }
+
+  const { events } = await response.json();
+  return events;
+}
+
+/**
+ * Calculates step conversion. A session counts for a step only when it also
+ * reached every earlier step, so each step is a subset of the one before.
+ * @param {Array<Object>} events - Funnel step events
+ * @returns {{sessions: number, steps: StepConversion[]}} Session count and conversion per step
+ */
+function calculateConversion(events) {
+  const reachedBySession = new Map();
+
+  events.forEach((event) => {
+    const sessionId = event.context?.[FUNNEL_CONFIG.CONTEXT_KEY];
+    const step = event.properties?.step;
+    if (!sessionId || !step) return;
+
+    if (!reachedBySession.has(sessionId)) {
+      reachedBySession.set(sessionId, new Set());
+    }
+    reachedBySession.get(sessionId).add(step);
+  });
+
+  let remaining = Array.from(reachedBySession.values());
+  let previous = null;
+  let first = null;
+
+  const steps = FUNNEL_CONFIG.STEPS.map(({ id, label }) => {
+    remaining = remaining.filter((reached) => reached.has(id));
+    const sessions = remaining.length;
+    first = first ?? sessions;
+
+    const conversion = {
+      id,
+      label,
+      sessions,
+      fromPrevious: previous === null || previous === 0 ? null : sessions / previous,
+      overall: first === 0 ? null : sessions / first,
+    };
+    previous = sessions;
+    return conversion;
+  });
+
+  return { sessions: reachedBySession.size, steps };
+}
+
+/**
+ * Formats a share as a percentage
+ * @param {number|null} share - Share from 0 to 1
+ * @returns {string} Percentage, or a dash without data
+ */
+function formatShare(share) {
+  return share === null ? '–' : `${Math.round(share * 1000) / 10}%`;
+}
+
+/**
+ * Creates an element with a class and optional text
+ * @param {string} tagName - Element name
+ * @param {string} [className] - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} Element
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/**
+ * Creates a button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @param {string} [ariaLabel] - Accessible name, if different from the text
+ * @returns {HTMLButtonElement} Button
+ */
+function createButton(label, onClick, ariaLabel) {
+  const button = createElement('button', REPORT_CONFIG.CLASSES.BUTTON, label);
+  button.type = 'button';
+  if (ariaLabel) {
+    button.setAttribute('aria-label', ariaLabel);
+  }
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Creates the table with one row per step
+ * @param {StepConversion[]} steps - Conversion per step
+ * @returns {HTMLTableElement} Table
+ */
+function createTable(steps) {
+  const { CLASSES } = REPORT_CONFIG;
+  const table = createElement('table', CLASSES.TABLE);
+
+  const headRow = table.createTHead().insertRow();
+  ['Step', 'Sessions', 'From previous', 'Overall'].forEach((label) => {
+    const cell = createElement('th', '', label);
+    cell.scope = 'col';
+    headRow.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  steps.forEach(({ label, sessions, fromPrevious, overall }) => {
+    const row = body.insertRow();
+
+    const nameCell = createElement('th', '', label);
+    nameCell.scope = 'row';
+    const bar = createElement('span', CLASSES.BAR);
+    bar.style.inlineSize = `${(overall ?? 0) * 100}%`;
+    nameCell.appendChild(bar);
+
+    row.append(
+      nameCell,
+      createElement('td', '', String(sessions)),
+      createElement('td', '', formatShare(fromPrevious)),
+      createElement('td', '', formatShare(overall))
+    );
+  });
+
+  return table;
+}
+
+/**
+ * Renders the report panel and loads its data
+ * @returns {Function} Removes the panel
+ */
+function renderFunnelReport() {
+  const { CLASSES } = REPORT_CONFIG;
+  const panel = createElement('aside', CLASSES.ROOT);
+  panel.setAttribute('aria-label', REPORT_CONFIG.TITLE);
+
+  const header = createElement('div', CLASSES.HEADER);
+  header.append(
+    createElement('h2', CLASSES.TITLE, REPORT_CONFIG.TITLE),
+    createButton('×', () => panel.remove(), 'Close funnel report')
+  );
+
+  const summary = createElement('p', CLASSES.SUMMARY, 'Loading collected events…');
+  summary.setAttribute('aria-live', 'polite');
+  let table = createTable(calculateConversion([]).steps);
+
+  const update = async () => {
+    try {
+      const conversion = calculateConversion(await loadStepEvents());
+      const nextTable = createTable(conversion.steps);
+      table.replaceWith(nextTable);
+      table = nextTable;
+      summary.textContent = `${conversion.sessions} sessions collected`;
+    } catch (error) {
+      summary.textContent = `Could not load collected events: ${error.message}`;
+    }
+  };
+
+  const actions = createElement('div', CLASSES.ACTIONS);
+  actions.appendChild(createButton('Refresh', update));
+
+  panel.append(header, summary, table, actions);
+  document.body.appendChild(panel);
+  update();
+
+  return () => panel.remove();
+}
+
+export { renderFunnelReport, calculateConversion };
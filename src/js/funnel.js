@@ -0,0 +1,203 @@
+/**
+ * Conversion Funnel
+ * Follows each visitor session through the landing page funnel: hero view,
+ * features scroll, pricing view, plan CTA click and contact form submit. Steps
+ * are recognised from the events the section modules already track, stored
+ * with their timestamps in sessionStorage so the funnel survives reloads, and
+ * reported once each as `funnel_step` events. Every analytics event carries
+ * the funnel session as `session_id` context.
+ *
+ * In development, `?funnel=report` opens a report of step conversion rates
+ * computed from the events in the local collector.
+ *
+ * @module funnel
+ */
+
+import { track, setContext, onTrack } from './analytics.js';
+
+/**
+ * Funnel configuration
+ */
+const FUNNEL_CONFIG = Object.freeze({
+  STORAGE_KEY: 'funnel_session',
+  CONTEXT_KEY: 'session_id',
+  REPORT_PARAM: 'funnel',
+  REPORT_VALUE: 'report',
+  ANALYTICS_CATEGORY: 'funnel',
+  STEP_EVENT: 'funnel_step',
+  // In funnel order; `matches` recognises the tracked event that completes a step
+  STEPS: Object.freeze([
+    Object.freeze({
+      id: 'hero_view',
+      label: 'Hero view',
+      matches: ({ name, properties }) =>
+        name === 'section_view' && properties.section === 'hero',
+    }),
+    Object.freeze({
+      id: 'features_scroll',
+      label: 'Features scroll',
+      matches: ({ name, properties }) =>
+        name === 'section_view' && properties.section === 'features',
+    }),
+    Object.freeze({
+      id: 'pricing_view',
+      label: 'Pricing view',
+      matches: ({ name, properties }) =>
+        name === 'section_view' && properties.section === 'pricing',
+    }),
+    Object.freeze({
+      id: 'plan_cta_click',
+      label: 'Plan CTA click',
+      matches: ({ name, category }) => name === 'cta_click' && category === 'pricing',
+    }),
+    Object.freeze({
+      id: 'contact_submit',
+      label: 'Contact form submit',
+      matches: ({ name, properties }) =>
+        name === 'form_submit' && properties.form === 'contact',
+    }),
+  ]),
+});
+
+/**
+ * Stored funnel session
+ * @typedef {Object} FunnelSession
+ * @property {string} id - Session id
+ * @property {number} startedAt - Epoch milliseconds when the session started
+ * @property {Object<string, number>} steps - Epoch milliseconds each reached step was first reached
+ */
+
+/**
+ * Funnel state of the current session
+ * @typedef {Object} FunnelState
+ * @property {string|null} sessionId - Session id
+ * @property {number|null} startedAt - Epoch milliseconds when the session started
+ * @property {Array<{id: string, label: string, reachedAt: (number|null)}>} steps - Steps in funnel order
+ * @property {string|null} currentStep - Id of the furthest step reached
+ * @property {boolean} completed - Whether every step was reached
+ */
+
+/**
+ * Current session
+ * @type {FunnelSession|null}
+ */
+let session = null;
+
+/**
+ * Creates a random id
+ * @returns {string} Id
+ */
+function createId() {
+  // randomUUID is only available in secure contexts
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Reads the stored session or starts a new one
+ * @returns {FunnelSession} Session
+ */
+function loadSession() {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(FUNNEL_CONFIG.STORAGE_KEY));
+    if (stored?.id && stored.steps) {
+      return stored;
+    }
+  } catch (error) {
+    console.warn('[Funnel] Could not read the stored session');
+  }
+
+  return { id: createId(), startedAt: Date.now(), steps: {} };
+}
+
+/**
+ * Stores the session
+ */
+function saveSession() {
+  try {
+    sessionStorage.setItem(FUNNEL_CONFIG.STORAGE_KEY, JSON.stringify(session));
+  } catch (error) {
+    // sessionStorage might be unavailable; the funnel lasts for this page view
+  }
+}
+
+/**
+ * Records the funnel step a tracked event completes, the first time it is reached
+ * @param {import('./analytics.js').AnalyticsEvent} event - Tracked event
+ */
+function handleTrack(event) {
+  const index = FUNNEL_CONFIG.STEPS.findIndex((step) => step.matches(event));
+  if (index === -1) return;
+
+  const step = FUNNEL_CONFIG.STEPS[index];
+  if (session.steps[step.id]) return;
+
+  const reachedAt = Date.now();
+  session.steps[step.id] = reachedAt;
+  saveSession();
+
+  track(FUNNEL_CONFIG.STEP_EVENT, {
+    category: FUNNEL_CONFIG.ANALYTICS_CATEGORY,
+    label: step.id,
+    value: index + 1,
+    step: step.id,
+    elapsed: reachedAt - session.startedAt,
+  });
+}
+
+/**
+ * Returns the funnel state of the current session. `currentStep` is the
+ * furthest step reached, even if earlier steps were skipped.
+ * @returns {FunnelState} Funnel state
+ */
+function getFunnelState() {
+  const steps = FUNNEL_CONFIG.STEPS.map(({ id, label }) => ({
+    id,
+    label,
+    reachedAt: session?.steps[id] ?? null,
+  }));
+  const reached = steps.filter((step) => step.reachedAt !== null);
+
+  return {
+    sessionId: session?.id ?? null,
+    startedAt: session?.startedAt ?? null,
+    steps,
+    currentStep: reached.length > 0 ? reached[reached.length - 1].id : null,
+    completed: reached.length === steps.length,
+  };
+}
+
+/**
+ * Starts or resumes the session and follows tracked events. Must run before
+ * the section modules track the events that complete steps.
+ * @returns {Promise<Function>} Cleanup function
+ */
+async function initFunnel() {
+  session = loadSession();
+  saveSession();
+  setContext({ [FUNNEL_CONFIG.CONTEXT_KEY]: session.id });
+
+  const unsubscribe = onTrack(handleTrack);
+
+  let removeReport = () => {};
+  const params = new URLSearchParams(window.location.search);
+  const reportRequested =
+    params.get(FUNNEL_CONFIG.REPORT_PARAM) === FUNNEL_CONFIG.REPORT_VALUE;
+  if (import.meta.env.DEV && reportRequested) {
+    const { renderFunnelReport } = await import('./funnel-report.js');
+    removeReport = renderFunnelReport();
+  }
+
+  console.log(`[Funnel] Session ${session.id}, ${Object.keys(session.steps).length} steps reached`);
+
+  return () => {
+    unsubscribe();
+    removeReport();
+    setContext({ [FUNNEL_CONFIG.CONTEXT_KEY]: undefined });
+    session = null;
+  };
+}
+
+export { initFunnel, getFunnelState, FUNNEL_CONFIG };
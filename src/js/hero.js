@@ -10,15 +10,17 @@
  * @modifies hero.html, hero.css
  */
 
+import { track } from './analytics.js';
+import { applyExperiments } from './experiments.js';
+import { getFlag, onFlagChange } from './flags.js';
+
 /**
- * Analytics event types for hero section interactions
- * @enum {symbol}
+ * Analytics event names for hero section interactions
+ * @enum {string}
  */
 const HERO_EVENTS = Object.freeze({
-  CTA_CLICK: Symbol('cta_click'),
-  CTA_HOVER: Symbol('cta_hover'),
-  SECTION_VIEW: Symbol('section_view'),
-  SCROLL_DEPTH: Symbol('scroll_depth'),
+  CTA_CLICK: 'cta_click',
+  CTA_HOVER: 'cta_hover',
 });
 
 /**
@@ -27,10 +29,9 @@ const HERO_EVENTS = Object.freeze({
  */
 const HERO_CONFIG = Object.freeze({
   INTERSECTION_THRESHOLD: 0.5,
-  SCROLL_DEPTH_THRESHOLDS: [25, 50, 75, 100],
-  DEBOUNCE_DELAY: 150,
   ANIMATION_DURATION: 600,
-  FEATURE_FLAG: 'hero_cta_button',
+  FEATURE_FLAG: 'heroCta',
+  ANALYTICS_CATEGORY: 'hero',
 });
 
 /**
@@ -40,65 +41,24 @@ const HERO_CONFIG = Object.freeze({
 const heroState = {
   isVisible: false,
   hasTrackedView: false,
-  trackedScrollDepths: new Set(),
   ctaClickCount: 0,
   sessionStartTime: Date.now(),
 };
 
 /**
- * Debounce utility for performance optimization
- * @param {Function} func - Function to debounce
- * @param {number} wait - Delay in milliseconds
- * @returns {Function} Debounced function
- */
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
-}
-
-/**
- * Safely dispatches analytics events with error handling
- * @param {symbol} eventType - Type of event from HERO_EVENTS
- * @param {Object} eventData - Additional event metadata
+ * Reports a hero section event through the analytics dispatcher
+ * @param {string} eventName - Event name from HERO_EVENTS
+ * @param {Object} eventData - Label, value and additional event metadata
  */
-function trackAnalyticsEvent(eventType, eventData = {}) {
+function trackHeroEvent(eventName, eventData = {}) {
   try {
-    const event = {
-      type: eventType.description,
-      timestamp: new Date().toISOString(),
+    track(eventName, {
+      category: HERO_CONFIG.ANALYTICS_CATEGORY,
       sessionDuration: Date.now() - heroState.sessionStartTime,
       ...eventData,
-    };
-
-    // Log to console in development
-    if (process.env.NODE_ENV !== 'production') {
-      console.log('[Hero Analytics]', event);
-    }
-
-    // Dispatch custom event for analytics integration
-    const customEvent = new CustomEvent('hero:analytics', {
-      detail: event,
-      bubbles: true,
     });
-    document.dispatchEvent(customEvent);
-
-    // Integration point for external analytics (Google Analytics, Mixpanel, etc.)
-    if (typeof window.gtag === 'function') {
-      window.gtag('event', event.type, {
-        event_category: 'hero_section',
-        event_label: eventData.label || '',
-        value: eventData.value || 0,
-      });
-    }
   } catch (error) {
-    console.error('[Hero Analytics] Failed to track event:', error);
+    console.error('[Hero] Failed to track event:', error);
   }
 }
 
@@ -120,7 +80,7 @@ function handleCtaClick(event) {
       timeToClick: Date.now() - heroState.sessionStartTime,
     };
 
-    trackAnalyticsEvent(HERO_EVENTS.CTA_CLICK, clickData);
+    trackHeroEvent(HERO_EVENTS.CTA_CLICK, clickData);
 
     // Add visual feedback
     target.classList.add('clicked');
@@ -138,7 +98,7 @@ function handleCtaClick(event) {
  */
 function handleCtaHover(_event) {
   try {
-    trackAnalyticsEvent(HERO_EVENTS.CTA_HOVER, {
+    trackHeroEvent(HERO_EVENTS.CTA_HOVER, {
       label: 'cta_button_hover',
       timeToHover: Date.now() - heroState.sessionStartTime,
     });
@@ -147,48 +107,6 @@ function handleCtaHover(_event) {
   }
 }
 
-/**
- * Calculates scroll depth percentage for the hero section
- * @returns {number} Scroll depth percentage (0-100)
- */
-function calculateScrollDepth() {
-  const heroSection = document.querySelector('.hero');
-  if (!heroSection) return 0;
-
-  const rect = heroSection.getBoundingClientRect();
-  const viewportHeight = window.innerHeight;
-  const sectionHeight = rect.height;
-  
-  // Calculate how much of the section has been scrolled past
-  const scrolledPast = Math.max(0, viewportHeight - rect.top);
-  const scrollDepth = Math.min(100, (scrolledPast / sectionHeight) * 100);
-  
-  return Math.round(scrollDepth);
-}
-
-/**
- * Tracks scroll depth milestones for engagement analysis
- */
-const trackScrollDepth = debounce(() => {
-  try {
-    const depth = calculateScrollDepth();
-    
-    HERO_CONFIG.SCROLL_DEPTH_THRESHOLDS.forEach((threshold) => {
-      if (depth >= threshold && !heroState.trackedScrollDepths.has(threshold)) {
-        heroState.trackedScrollDepths.add(threshold);
-        
-        trackAnalyticsEvent(HERO_EVENTS.SCROLL_DEPTH, {
-          label: `scroll_depth_${threshold}`,
-          value: threshold,
-          timeToDepth: Date.now() - heroState.sessionStartTime,
-        });
-      }
-    });
-  } catch (error) {
-    console.error('[Hero] Scroll depth tracking error:', error);
-  }
-}, HERO_CONFIG.DEBOUNCE_DELAY);
-
 /**
  * Handles hero section visibility changes using Intersection Observer
  * @param {IntersectionObserverEntry[]} entries - Observer entries
@@ -198,15 +116,11 @@ function handleIntersection(entries) {
     try {
       const isVisible = entry.isIntersecting;
       
+      // Section views are tracked page-wide by engagement.js
       if (isVisible && !heroState.hasTrackedView) {
         heroState.isVisible = true;
         heroState.hasTrackedView = true;
-        
-        trackAnalyticsEvent(HERO_EVENTS.SECTION_VIEW, {
-          label: 'hero_section_view',
-          timeToView: Date.now() - heroState.sessionStartTime,
-        });
-        
+
         // Add animation class for entrance effects
         entry.target.classList.add('hero--visible');
       }
@@ -256,27 +170,7 @@ function initializeIntersectionObserver() {
  * @returns {boolean} True if CTA should be visible
  */
 function isCtaEnabled() {
-  // Check for feature flag in various sources
-  const urlParams = new URLSearchParams(window.location.search);
-  const urlFlag = urlParams.get(HERO_CONFIG.FEATURE_FLAG);
-  
-  if (urlFlag !== null) {
-    return urlFlag === 'on' || urlFlag === 'true' || urlFlag === '1';
-  }
-  
-  // Check localStorage for persistent flag override
-  try {
-    const storedFlag = localStorage.getItem(HERO_CONFIG.FEATURE_FLAG);
-    if (storedFlag !== null) {
-      return storedFlag === 'on';
-    }
-  } catch (error) {
-    // localStorage might be unavailable
-    console.warn('[Hero] localStorage unavailable for feature flag check');
-  }
-  
-  // Default to enabled
-  return true;
+  return getFlag(HERO_CONFIG.FEATURE_FLAG) ?? true;
 }
 
 /**
@@ -325,12 +219,6 @@ function attachEventListeners() {
         handleCtaHover();
       }
     });
-    
-    // Scroll depth tracking
-    window.addEventListener('scroll', trackScrollDepth, { passive: true });
-    
-    // Initial scroll depth check
-    trackScrollDepth();
   } catch (error) {
     console.error('[Hero] Failed to attach event listeners:', error);
   }
@@ -339,8 +227,9 @@ function attachEventListeners() {
 /**
  * Cleanup function for removing event listeners and observers
  * @param {IntersectionObserver|null} observer - Observer to disconnect
+ * @param {Function} [unsubscribeFlag] - Stops following the CTA flag
  */
-function cleanup(observer) {
+function cleanup(observer, unsubscribeFlag) {
   try {
     const ctaButton = document.querySelector('.hero-cta');
     
@@ -348,11 +237,13 @@ function cleanup(observer) {
       ctaButton.removeEventListener('click', handleCtaClick);
     }
     
-    window.removeEventListener('scroll', trackScrollDepth);
-    
     if (observer) {
       observer.disconnect();
     }
+
+    if (unsubscribeFlag) {
+      unsubscribeFlag();
+    }
   } catch (error) {
     console.error('[Hero] Cleanup error:', error);
   }
@@ -364,8 +255,14 @@ function cleanup(observer) {
  */
 function initializeHero() {
   try {
-    // Apply feature flags first
+    // Apply feature flags and experiment variants first
     applyFeatureFlags();
+    const unsubscribeFlag = onFlagChange(HERO_CONFIG.FEATURE_FLAG, applyFeatureFlags);
+
+    const heroSection = document.querySelector('.hero');
+    if (heroSection) {
+      applyExperiments('hero', heroSection);
+    }
     
     // Initialize visibility tracking
     const observer = initializeIntersectionObserver();
@@ -374,7 +271,7 @@ function initializeHero() {
     attachEventListeners();
     
     // Setup cleanup on page unload
-    window.addEventListener('beforeunload', () => cleanup(observer));
+    window.addEventListener('beforeunload', () => cleanup(observer, unsubscribeFlag));
     
     console.log('[Hero] Initialization complete');
   } catch (error) {
@@ -382,17 +279,9 @@ function initializeHero() {
   }
 }
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializeHero);
-} else {
-  initializeHero();
-}
-
 // Export for testing and external usage
 export {
   initializeHero,
-  trackAnalyticsEvent,
   HERO_EVENTS,
   HERO_CONFIG,
 };
\ No newline at end of file
@@ -0,0 +1,400 @@
+/**
+ * Internationalization Module
+ * Detects the visitor's locale, loads its message catalog from src/locales and
+ * translates the page. Each locale has its own URL: the default locale lives at
+ * the site root and every other locale under a prefix such as `/es/`, which the
+ * build emits as a separate page (see plugins/i18n.js).
+ *
+ * A locale prefix in the URL always wins. The site root has no prefix and
+ * means "auto", like its `x-default` alternate: it shows the language chosen
+ * in the switcher, then the first of `navigator.languages` the site supports,
+ * then the default locale, and moves to that locale's URL if it has a prefix.
+ * Choosing the default locale in the switcher keeps the visitor at the root.
+ *
+ * Markup opts in with:
+ *   data-i18n="hero.title"                  translates the text content
+ *   data-i18n-attr="aria-label:hero.cta"    translates attributes, `;`-separated
+ *   data-i18n-values='{"min": 2}'           supplies message arguments
+ *
+ * Messages use ICU syntax, see message-format.js. `{brand}` is always available.
+ * Locales marked `"dir": "rtl"` in site.config.json switch the page to a
+ * right-to-left layout, which the stylesheets follow through logical properties.
+ *
+ * @module i18n
+ * @dependencies: [site-config, template, message-format]
+ */
+
+import { SITE_CONFIG, absoluteUrl } from './site-config.js';
+import { getPath } from './template.js';
+import { formatMessage } from './message-format.js';
+import sourceMessages from '../locales/en.json';
+
+/**
+ * Catalogs other than the source, loaded on demand
+ */
+const CATALOGS = import.meta.glob(['../locales/*.json', '!../locales/en.json'], {
+  import: 'default',
+});
+
+/**
+ * I18n configuration
+ */
+const I18N_CONFIG = Object.freeze({
+  // Locale the markup is written in and the fallback for missing messages
+  SOURCE_LOCALE: 'en',
+  DEFAULT_LOCALE: SITE_CONFIG.i18n.defaultLocale,
+  LOCALES: Object.freeze(Object.keys(SITE_CONFIG.i18n.locales)),
+  STORAGE_KEY: 'locale',
+  SELECTORS: Object.freeze({
+    TRANSLATABLE: '[data-i18n], [data-i18n-attr]',
+    SWITCHER: '[data-language-switcher]',
+  }),
+  CLASSES: Object.freeze({
+    LIST: 'language-switcher__list',
+    LINK: 'language-switcher__link',
+  }),
+});
+
+/**
+ * Current locale and its messages
+ */
+const state = {
+  locale: I18N_CONFIG.SOURCE_LOCALE,
+  messages: sourceMessages,
+};
+
+/**
+ * Returns the site's base path, always ending in a slash
+ * @returns {string} Base path, e.g. `/`
+ */
+function getBasePath() {
+  const base = import.meta.env.BASE_URL || '/';
+  return base.endsWith('/') ? base : `${base}/`;
+}
+
+/**
+ * Matches a language tag to a supported locale, exactly or by its language
+ * @param {string} tag - BCP 47 language tag, e.g. `es-MX`
+ * @returns {string|null} Supported locale, or null
+ */
+function matchLocale(tag) {
+  if (!tag) return null;
+
+  const { LOCALES } = I18N_CONFIG;
+  const lower = tag.toLowerCase();
+  const exact = LOCALES.find((locale) => locale.toLowerCase() === lower);
+  if (exact) return exact;
+
+  const language = lower.split('-')[0];
+  return LOCALES.find((locale) => locale.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+ * Reads the locale prefix from a path
+ * @param {string} [pathname] - URL path, the current page's by default
+ * @returns {string|null} Locale named by the prefix, or null
+ */
+function getUrlLocale(pathname = window.location.pathname) {
+  const base = getBasePath();
+  if (!pathname.startsWith(base)) return null;
+
+  const segment = pathname.slice(base.length).split('/')[0];
+  return I18N_CONFIG.LOCALES.includes(segment) ? segment : null;
+}
+
+/**
+ * Returns the locale chosen earlier in the language switcher
+ * @returns {string|null} Stored locale, or null
+ */
+function getStoredLocale() {
+  try {
+    return matchLocale(localStorage.getItem(I18N_CONFIG.STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the first of the browser's preferred languages the site supports
+ * @returns {string|null} Supported locale, or null
+ */
+function getPreferredLocale() {
+  const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+
+  for (const language of languages) {
+    const locale = matchLocale(language);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+/**
+ * Detects the locale to show. A URL prefix wins, so shared links to a
+ * prefixed locale open in its language. The unprefixed root is "auto" and
+ * follows the stored choice, then the browser's languages, then the default.
+ * @returns {string} Supported locale
+ */
+function detectLocale() {
+  return (
+    getUrlLocale() || getStoredLocale() || getPreferredLocale() || I18N_CONFIG.DEFAULT_LOCALE
+  );
+}
+
+/**
+ * Returns the path of a locale's page
+ * @param {string} locale - Supported locale
+ * @returns {string} Path, e.g. `/` or `/es/`
+ */
+function getLocalePath(locale) {
+  const base = getBasePath();
+  return locale === I18N_CONFIG.DEFAULT_LOCALE ? base : `${base}${locale}/`;
+}
+
+/**
+ * Returns the absolute URL of a locale's page, as used for canonical and
+ * `hreflang` links. The site root is written like `url` in site.config.json,
+ * without a trailing slash.
+ * @param {string} locale - Supported locale
+ * @returns {string} Absolute URL
+ */
+function getLocaleUrl(locale) {
+  const path = getLocalePath(locale);
+  return absoluteUrl(path === '/' ? '' : path);
+}
+
+/**
+ * Returns a locale's writing direction
+ * @param {string} [locale] - Supported locale, the current one by default
+ * @returns {string} `ltr` or `rtl`
+ */
+function getDirection(locale = state.locale) {
+  return SITE_CONFIG.i18n.locales[locale]?.dir || 'ltr';
+}
+
+/**
+ * Loads a locale's catalog, falling back to the source catalog
+ * @param {string} locale - Supported locale
+ * @returns {Promise<string>} Locale whose messages were loaded
+ */
+async function loadLocale(locale) {
+  const { SOURCE_LOCALE } = I18N_CONFIG;
+
+  if (locale === SOURCE_LOCALE) {
+    state.messages = sourceMessages;
+    return locale;
+  }
+
+  try {
+    const load = CATALOGS[`../locales/${locale}.json`];
+    if (!load) throw new Error('No catalog');
+
+    state.messages = await load();
+    return locale;
+  } catch (error) {
+    console.warn(`[I18n] Could not load messages for "${locale}":`, error.message);
+    state.messages = sourceMessages;
+    return SOURCE_LOCALE;
+  }
+}
+
+/**
+ * Returns the current locale
+ * @returns {string} BCP 47 language tag
+ */
+function getLocale() {
+  return state.locale;
+}
+
+/**
+ * Whether the source catalog defines a message
+ * @param {string} key - Dotted message key, e.g. `hero.title`
+ * @returns {boolean} True for a known key
+ */
+function hasMessage(key) {
+  return typeof getPath(sourceMessages, key) === 'string';
+}
+
+/**
+ * Formats a message in the current locale
+ * @param {string} message - ICU-style message
+ * @param {Object} [values] - Argument values
+ * @returns {string} Formatted message, or the message itself if it is malformed
+ */
+function format(message, values = {}) {
+  try {
+    return formatMessage(message, { brand: SITE_CONFIG.brand.name, ...values }, state.locale);
+  } catch (error) {
+    console.warn('[I18n] Malformed message:', error.message);
+    return message;
+  }
+}
+
+/**
+ * Translates a message key in the current locale, falling back to the source
+ * catalog and then to the key itself
+ * @param {string} key - Dotted message key, e.g. `hero.title`
+ * @param {Object} [values] - Argument values
+ * @returns {string} Translated message
+ */
+function t(key, values = {}) {
+  const message = getPath(state.messages, key) ?? getPath(sourceMessages, key);
+
+  if (typeof message !== 'string') {
+    console.warn(`[I18n] Missing message "${key}"`);
+    return key;
+  }
+  return format(message, values);
+}
+
+/**
+ * Reads an element's message arguments
+ * @param {HTMLElement} element - Translatable element
+ * @returns {Object} Argument values
+ */
+function getValues(element) {
+  if (!element.dataset.i18nValues) return {};
+
+  try {
+    return JSON.parse(element.dataset.i18nValues);
+  } catch (error) {
+    console.warn('[I18n] Invalid data-i18n-values:', element.dataset.i18nValues);
+    return {};
+  }
+}
+
+/**
+ * Translates an element's text and attributes
+ * @param {HTMLElement} element - Translatable element
+ */
+function translateElement(element) {
+  const { i18n: key, i18nAttr: attributes } = element.dataset;
+  const values = getValues(element);
+
+  if (key) {
+    element.textContent = t(key, values);
+  }
+
+  (attributes || '').split(';').forEach((pair) => {
+    const [attribute, attributeKey] = pair.split(':').map((part) => part.trim());
+    if (attribute && attributeKey) {
+      element.setAttribute(attribute, t(attributeKey, values));
+    }
+  });
+}
+
+/**
+ * Translates every annotated element under a root, including the contents
+ * of templates that modules clone later
+ * @param {ParentNode} [root] - Root to translate, the document by default
+ */
+function applyTranslations(root = document) {
+  root.querySelectorAll(I18N_CONFIG.SELECTORS.TRANSLATABLE).forEach(translateElement);
+  root.querySelectorAll('template').forEach((template) => applyTranslations(template.content));
+}
+
+/**
+ * Remembers the locale chosen in the switcher and keeps the query and hash,
+ * so a chosen plan or section survives the change of language
+ * @param {MouseEvent} event - Click event
+ */
+function handleSwitcherClick(event) {
+  const link = event.target.closest(`.${I18N_CONFIG.CLASSES.LINK}`);
+  if (!link) return;
+
+  try {
+    localStorage.setItem(I18N_CONFIG.STORAGE_KEY, link.hreflang);
+  } catch (error) {
+    // localStorage might be unavailable; the URL prefix still carries the locale
+  }
+  link.href = `${getLocalePath(link.hreflang)}${window.location.search}${window.location.hash}`;
+}
+
+/**
+ * Renders the language switcher into each `[data-language-switcher]` slot
+ * @returns {HTMLElement[]} Rendered switchers
+ */
+function renderSwitchers() {
+  const { SELECTORS, CLASSES, LOCALES } = I18N_CONFIG;
+  const switchers = Array.from(document.querySelectorAll(SELECTORS.SWITCHER));
+
+  switchers.forEach((switcher) => {
+    const list = document.createElement('ul');
+    list.className = CLASSES.LIST;
+    list.setAttribute('role', 'list');
+
+    LOCALES.forEach((locale) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+
+      link.className = CLASSES.LINK;
+      link.href = getLocalePath(locale);
+      link.hreflang = locale;
+      link.lang = locale;
+      link.dir = getDirection(locale);
+      link.textContent = SITE_CONFIG.i18n.locales[locale].name;
+      if (locale === state.locale) {
+        link.setAttribute('aria-current', 'true');
+      }
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    switcher.replaceChildren(list);
+    switcher.addEventListener('click', handleSwitcherClick);
+  });
+
+  return switchers;
+}
+
+/**
+ * Moves a visitor whose locale was detected rather than linked to that
+ * locale's URL, without reloading, so the address can be shared as is
+ */
+function syncUrl() {
+  if (getUrlLocale() || state.locale === I18N_CONFIG.DEFAULT_LOCALE) return;
+
+  const { search, hash } = window.location;
+  history.replaceState(history.state, '', `${getLocalePath(state.locale)}${search}${hash}`);
+}
+
+/**
+ * Detects the locale, loads its messages, translates the page and renders
+ * the language switcher
+ * @returns {Promise<Function>} Cleanup function
+ */
+async function initI18n() {
+  state.locale = await loadLocale(detectLocale());
+
+  document.documentElement.lang = state.locale;
+  document.documentElement.dir = getDirection();
+  syncUrl();
+
+  // The markup is written in the source locale, so it only needs translating for others
+  if (state.locale !== I18N_CONFIG.SOURCE_LOCALE) {
+    applyTranslations();
+  }
+
+  const switchers = renderSwitchers();
+
+  if (import.meta.env.DEV) {
+    console.log(`[I18n] Locale: ${state.locale}`);
+  }
+
+  return () => {
+    switchers.forEach((switcher) => switcher.removeEventListener('click', handleSwitcherClick));
+  };
+}
+
+export {
+  initI18n,
+  t,
+  format,
+  hasMessage,
+  getLocale,
+  getDirection,
+  getLocalePath,
+  getLocaleUrl,
+  applyTranslations,
+  I18N_CONFIG,
+};
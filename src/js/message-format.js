@@ -0,0 +1,140 @@
+/**
+ * Message Formatting
+ * Formats ICU-style messages: `{name}` arguments, `{n, number}`, and
+ * `plural`, `selectordinal` and `select` blocks, where `#` stands for the
+ * plural number and `=0` style keys match exact values. Shared by the build
+ * plugins and the runtime i18n module, so it must not touch the DOM.
+ *
+ * @module message-format
+ */
+
+/**
+ * Matches the start of an argument, after its opening brace
+ * Capture groups: 1 - argument name, 2 - argument type
+ */
+const ARGUMENT_PATTERN = /^\s*([\w.]+)\s*(?:,\s*(number|plural|selectordinal|select)\s*)?/;
+
+/**
+ * Matches an option key and the opening brace of its message
+ */
+const OPTION_PATTERN = /^\s*(=?[\w-]+)\s*\{/;
+
+/**
+ * Plural rules per locale and type, created once each
+ * @type {Map<string, Intl.PluralRules>}
+ */
+const pluralRules = new Map();
+
+/**
+ * Returns the plural category of a number
+ * @param {string} locale - BCP 47 locale
+ * @param {number} number - Number
+ * @param {boolean} ordinal - Whether to use ordinal rules (1st, 2nd)
+ * @returns {string} CLDR plural category, e.g. `one` or `other`
+ */
+function selectPlural(locale, number, ordinal) {
+  const key = `${locale}:${ordinal ? 'ordinal' : 'cardinal'}`;
+
+  if (!pluralRules.has(key)) {
+    pluralRules.set(key, new Intl.PluralRules(locale, { type: ordinal ? 'ordinal' : 'cardinal' }));
+  }
+  return pluralRules.get(key).select(number);
+}
+
+/**
+ * Formats a message
+ * @param {string} message - ICU-style message
+ * @param {Object} [values] - Argument values
+ * @param {string} [locale] - BCP 47 locale used for numbers and plural rules
+ * @returns {string} Formatted message
+ * @throws {SyntaxError} If the message is malformed
+ */
+function formatMessage(message, values = {}, locale = 'en') {
+  const numberFormat = new Intl.NumberFormat(locale);
+  let position = 0;
+
+  const fail = (reason) => {
+    throw new SyntaxError(`${reason} at position ${position} in "${message}"`);
+  };
+
+  // Reads text up to the brace closing the current block, without consuming it
+  const readBlock = (pluralNumber) => {
+    let output = '';
+
+    while (position < message.length && message[position] !== '}') {
+      const char = message[position];
+
+      if (char === '{') {
+        position += 1;
+        output += readArgument(pluralNumber);
+      } else if (char === '#' && pluralNumber !== undefined) {
+        position += 1;
+        output += numberFormat.format(pluralNumber);
+      } else {
+        position += 1;
+        output += char;
+      }
+    }
+
+    return output;
+  };
+
+  // Reads an argument after its opening brace, including its closing brace
+  const readArgument = (pluralNumber) => {
+    const match = ARGUMENT_PATTERN.exec(message.slice(position));
+    if (!match) fail('Expected an argument name');
+
+    position += match[0].length;
+    const [, name, type] = match;
+    const value = values[name];
+
+    if (!type || type === 'number') {
+      if (message[position] !== '}') fail(`Expected "}" after "${name}"`);
+      position += 1;
+
+      if (value == null) return '';
+      return type === 'number' ? numberFormat.format(Number(value)) : String(value);
+    }
+
+    if (message[position] !== ',') fail(`Expected options for "${name}"`);
+    position += 1;
+
+    const isPlural = type !== 'select';
+    const number = isPlural ? Number(value) : pluralNumber;
+    const options = {};
+
+    for (;;) {
+      const rest = message.slice(position);
+      const closing = /^\s*\}/.exec(rest);
+      if (closing) {
+        position += closing[0].length;
+        break;
+      }
+
+      const option = OPTION_PATTERN.exec(rest);
+      if (!option) fail(`Expected an option for "${name}"`);
+
+      position += option[0].length;
+      options[option[1]] = readBlock(number);
+      if (message[position] !== '}') fail(`Unclosed option "${option[1]}"`);
+      position += 1;
+    }
+
+    if (isPlural) {
+      const exact = options[`=${number}`];
+      if (exact !== undefined) return exact;
+
+      const category = selectPlural(locale, number, type === 'selectordinal');
+      return options[category] ?? options.other ?? '';
+    }
+
+    return options[String(value)] ?? options.other ?? '';
+  };
+
+  const output = readBlock();
+  if (position < message.length) fail('Unexpected "}"');
+
+  return output;
+}
+
+export { formatMessage };
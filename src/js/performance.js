@@ -3,6 +3,8 @@
  * Implements lazy loading, performance monitoring, and web vitals tracking
  */
 
+import { whenConsented, CONSENT_CONFIG } from './consent.js';
+
 /**
  * Lazy Loading Implementation using Intersection Observer API
  */
@@ -444,10 +446,28 @@ class ResourcePreloader {
   }
 
   /**
-   * Preconnects to an origin
+   * Preconnects to an origin. Third-party origins see the visitor's IP address,
+   * so cross-origin preconnects wait for marketing consent.
    * @param {string} origin - Origin URL
    */
   preconnect(origin) {
+    try {
+      if (new URL(origin, window.location.href).origin !== window.location.origin) {
+        whenConsented(CONSENT_CONFIG.CATEGORIES.MARKETING, () => this.appendPreconnect(origin));
+        return;
+      }
+
+      this.appendPreconnect(origin);
+    } catch (error) {
+      console.error(`[Preloader] Failed to preconnect to ${origin}:`, error);
+    }
+  }
+
+  /**
+   * Appends the preconnect link for an origin
+   * @param {string} origin - Origin URL
+   */
+  appendPreconnect(origin) {
     try {
       const link = document.createElement('link');
       link.rel = 'preconnect';
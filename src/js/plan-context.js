@@ -0,0 +1,332 @@
+/**
+ * Plan Context Module
+ * Carries the plan chosen on a pricing card into the forms it leads to. The
+ * choice (tier, billing period and price) is kept in sessionStorage and in
+ * the page URL as `?plan=pro&billing=annual&price=190&currency=USD`, so it
+ * survives reloads and shared links. Every `form[data-validate]` receives it
+ * as its checked plan and billing radios, or in hidden `plan`, `billingPeriod`,
+ * `price` and `currency` fields, and shows it in a summary at the top of the
+ * form.
+ *
+ * Prices from the URL are not trusted; they are looked up again from
+ * site.config.json.
+ *
+ * @module plan-context
+ * @dependencies: [site-config, currency, i18n]
+ */
+
+import { getPlan } from './site-config.js';
+import { getCurrency, getPlanPrice, formatPlanPrice, CURRENCY_CONFIG } from './currency.js';
+import { t } from './i18n.js';
+
+/**
+ * Plan context configuration
+ */
+const PLAN_CONTEXT_CONFIG = Object.freeze({
+  STORAGE_KEY: 'plan_context',
+  PARAMS: Object.freeze({
+    PLAN: 'plan',
+    BILLING: 'billing',
+    PRICE: 'price',
+    CURRENCY: 'currency',
+  }),
+  BILLING_PERIODS: Object.freeze(['monthly', 'annual']),
+  FIELDS: Object.freeze({
+    PLAN: 'plan',
+    BILLING: 'billingPeriod',
+    PRICE: 'price',
+    CURRENCY: 'currency',
+  }),
+  EVENTS: Object.freeze({
+    CHANGE: 'plan:change',
+  }),
+  SELECTORS: Object.freeze({
+    FORMS: 'form[data-validate="true"]',
+    SUMMARY: '[data-plan-summary]',
+  }),
+  CLASSES: Object.freeze({
+    SUMMARY: 'form-plan',
+  }),
+  // The link label and messages are message keys, see src/locales
+  CHANGE_LINK: Object.freeze({
+    HREF: '#pricing',
+    LABEL: 'plan.change',
+  }),
+  MESSAGES: Object.freeze({
+    SELECTED: 'plan.selected',
+    NAME: 'plan.name',
+    BILLING: 'plan.billing',
+  }),
+});
+
+/**
+ * Set while forms are being filled, so the resulting change events are not
+ * mistaken for the visitor choosing another plan
+ * @type {boolean}
+ */
+let applying = false;
+
+/**
+ * Plan chosen by the visitor
+ * @typedef {Object} PlanContext
+ * @property {string} plan - Plan id, e.g. `pro`
+ * @property {string} tier - Plan name, e.g. `Pro`
+ * @property {string} billingPeriod - `monthly` or `annual`
+ * @property {number} price - Price for the billing period
+ * @property {string} currency - ISO 4217 currency code of the price
+ */
+
+/**
+ * Builds a plan context from a plan id and billing period
+ * @param {string} planId - Plan id
+ * @param {string} [billingPeriod] - Billing period, monthly when unknown
+ * @returns {PlanContext|null} Context, or null for an unknown plan
+ */
+function createContext(planId, billingPeriod) {
+  const plan = getPlan(planId);
+  if (!plan) return null;
+
+  const period = PLAN_CONTEXT_CONFIG.BILLING_PERIODS.includes(billingPeriod)
+    ? billingPeriod
+    : PLAN_CONTEXT_CONFIG.BILLING_PERIODS[0];
+  const currency = getCurrency();
+
+  return {
+    plan: planId,
+    tier: t(plan.name),
+    billingPeriod: period,
+    price: getPlanPrice(plan, period, currency),
+    currency,
+  };
+}
+
+/**
+ * Writes the context to the page URL without adding a history entry
+ * @param {PlanContext} context - Plan context
+ */
+function writeUrl(context) {
+  const { PARAMS } = PLAN_CONTEXT_CONFIG;
+  const url = new URL(window.location.href);
+
+  url.searchParams.set(PARAMS.PLAN, context.plan);
+  url.searchParams.set(PARAMS.BILLING, context.billingPeriod);
+  url.searchParams.set(PARAMS.PRICE, String(context.price));
+  url.searchParams.set(PARAMS.CURRENCY, context.currency);
+
+  history.replaceState(history.state, '', url);
+}
+
+/**
+ * Returns the plan the visitor chose: from the URL first, so shared links
+ * win, then from sessionStorage
+ * @returns {PlanContext|null} Plan context, or null if none was chosen
+ */
+function getPlanContext() {
+  const { PARAMS, STORAGE_KEY } = PLAN_CONTEXT_CONFIG;
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.has(PARAMS.PLAN)) {
+    const context = createContext(params.get(PARAMS.PLAN), params.get(PARAMS.BILLING));
+    if (context) return context;
+  }
+
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    return stored ? createContext(stored.plan, stored.billingPeriod) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Records the plan the visitor chose and dispatches `plan:change` on the
+ * document with the new {@link PlanContext}
+ * @param {string} planId - Plan id
+ * @param {string} billingPeriod - `monthly` or `annual`
+ * @returns {PlanContext|null} Context, or null for an unknown plan
+ */
+function setPlanContext(planId, billingPeriod) {
+  const context = createContext(planId, billingPeriod);
+
+  if (!context) {
+    console.warn(`[PlanContext] Unknown plan "${planId}"`);
+    return null;
+  }
+
+  try {
+    sessionStorage.setItem(PLAN_CONTEXT_CONFIG.STORAGE_KEY, JSON.stringify(context));
+  } catch (error) {
+    // sessionStorage might be unavailable; the URL still carries the plan
+  }
+
+  writeUrl(context);
+  document.dispatchEvent(
+    new CustomEvent(PLAN_CONTEXT_CONFIG.EVENTS.CHANGE, { detail: context })
+  );
+
+  return context;
+}
+
+/**
+ * Checks a radio, notifying listeners such as the signup wizard
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} name - Radio group name
+ * @param {string} value - Value to check
+ * @returns {boolean} Whether the form has the radio
+ */
+function checkRadio(form, name, value) {
+  const radio = form.querySelector(`input[type="radio"][name="${name}"][value="${value}"]`);
+  if (!radio) return false;
+
+  if (!radio.checked) {
+    radio.checked = true;
+    radio.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  return true;
+}
+
+/**
+ * Shows the chosen plan at the top of a form
+ * @param {HTMLFormElement} form - Form element
+ * @param {PlanContext} context - Plan context
+ */
+function renderSummary(form, context) {
+  const { SELECTORS, CLASSES, CHANGE_LINK, MESSAGES } = PLAN_CONTEXT_CONFIG;
+  let summary = form.querySelector(SELECTORS.SUMMARY);
+
+  if (!summary) {
+    summary = document.createElement('p');
+    summary.className = CLASSES.SUMMARY;
+    summary.dataset.planSummary = '';
+    summary.setAttribute('aria-live', 'polite');
+    form.insertBefore(summary, form.firstChild);
+  }
+
+  const plan = getPlan(context.plan);
+  const label = document.createElement('strong');
+  label.textContent = t(MESSAGES.NAME, { plan: context.tier });
+
+  const link = document.createElement('a');
+  link.href = CHANGE_LINK.HREF;
+  link.textContent = t(CHANGE_LINK.LABEL);
+
+  // Free plans are not billed, so only their price is shown
+  const details = [formatPlanPrice(plan, context.billingPeriod, context.currency)];
+  if (context.price > 0) {
+    details.unshift(t(MESSAGES.BILLING, { period: context.billingPeriod }));
+  }
+
+  summary.replaceChildren(`${t(MESSAGES.SELECTED)} `, label, ` · ${details.join(' · ')} `, link);
+}
+
+/**
+ * Sets a hidden field, adding it to the form if missing
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} name - Field name
+ * @param {string} value - Field value
+ */
+function setHiddenField(form, name, value) {
+  let field = form.querySelector(`input[type="hidden"][name="${name}"]`);
+  if (!field) {
+    field = document.createElement('input');
+    field.type = 'hidden';
+    field.name = name;
+    form.appendChild(field);
+  }
+  field.value = value;
+}
+
+/**
+ * Fills a form with the chosen plan: its plan and billing radios where it
+ * has them, otherwise hidden plan, billing period, price and currency fields
+ * @param {HTMLFormElement} form - Form element
+ * @param {PlanContext} context - Plan context
+ */
+function applyPlanContext(form, context) {
+  const { FIELDS } = PLAN_CONTEXT_CONFIG;
+
+  if (checkRadio(form, FIELDS.PLAN, context.plan)) {
+    checkRadio(form, FIELDS.BILLING, context.billingPeriod);
+  } else {
+    setHiddenField(form, FIELDS.PLAN, context.plan);
+    setHiddenField(form, FIELDS.BILLING, context.billingPeriod);
+    setHiddenField(form, FIELDS.PRICE, String(context.price));
+    setHiddenField(form, FIELDS.CURRENCY, context.currency);
+  }
+
+  renderSummary(form, context);
+}
+
+/**
+ * Applies the current plan context to every validated form
+ */
+function applyToForms() {
+  const context = getPlanContext();
+  if (!context) return;
+
+  applying = true;
+  try {
+    document.querySelectorAll(PLAN_CONTEXT_CONFIG.SELECTORS.FORMS).forEach((form) => {
+      applyPlanContext(form, context);
+    });
+  } finally {
+    applying = false;
+  }
+}
+
+/**
+ * Re-prices the chosen plan in the new currency
+ */
+function handleCurrencyChange() {
+  const context = getPlanContext();
+  if (context) {
+    setPlanContext(context.plan, context.billingPeriod);
+  }
+}
+
+/**
+ * Follows plan and billing changes made in a form, e.g. the signup wizard's
+ * plan step, so the other forms and the URL agree with it
+ * @param {Event} event - Change event
+ */
+function handleFormChange(event) {
+  const { FIELDS, SELECTORS } = PLAN_CONTEXT_CONFIG;
+  const field = event.target;
+
+  if (applying || field.type !== 'radio' || !field.form?.matches(SELECTORS.FORMS)) return;
+  if (field.name !== FIELDS.PLAN && field.name !== FIELDS.BILLING) return;
+
+  const form = field.form;
+  const plan = form.querySelector(`input[name="${FIELDS.PLAN}"]:checked`)?.value;
+  const billing = form.querySelector(`input[name="${FIELDS.BILLING}"]:checked`)?.value;
+  const current = getPlanContext();
+
+  // Only a plan the visitor already chose is followed, and only when it changed
+  if (!current || !plan || (current.plan === plan && current.billingPeriod === billing)) {
+    return;
+  }
+  setPlanContext(plan, billing);
+}
+
+/**
+ * Applies the chosen plan to the page's forms now and whenever it or the
+ * currency changes
+ * @returns {Function} Cleanup function
+ */
+function initPlanContext() {
+  const { EVENTS } = PLAN_CONTEXT_CONFIG;
+
+  applyToForms();
+
+  document.addEventListener(EVENTS.CHANGE, applyToForms);
+  document.addEventListener(CURRENCY_CONFIG.EVENTS.CHANGE, handleCurrencyChange);
+  document.addEventListener('change', handleFormChange);
+
+  return () => {
+    document.removeEventListener(EVENTS.CHANGE, applyToForms);
+    document.removeEventListener(CURRENCY_CONFIG.EVENTS.CHANGE, handleCurrencyChange);
+    document.removeEventListener('change', handleFormChange);
+  };
+}
+
+export { initPlanContext, getPlanContext, setPlanContext, PLAN_CONTEXT_CONFIG };
@@ -0,0 +1,216 @@
+/**
+ * Pricing Comparison Table
+ * Builds the feature comparison matrix shown as an alternative to the pricing
+ * cards. Columns come from the same plan definitions as the cards; rows come
+ * from the `pricing.comparison` groups in site.config.json, whose group and
+ * feature names and text values are message keys.
+ *
+ * Prices in the column headers are left empty here and filled in by the
+ * pricing module, which owns the billing period and currency state.
+ *
+ * @module pricing-comparison
+ */
+
+import { SITE_CONFIG, getPlans } from './site-config.js';
+import { t, getLocale } from './i18n.js';
+
+/**
+ * Comparison table configuration
+ */
+const COMPARISON_CONFIG = Object.freeze({
+  // Message keys, see src/locales
+  CAPTION: 'pricing.table.caption',
+  LABELS: Object.freeze({
+    FEATURE: 'pricing.table.feature',
+    INCLUDED: 'pricing.table.included',
+    NOT_INCLUDED: 'pricing.table.notIncluded',
+  }),
+  CLASSES: Object.freeze({
+    TABLE: 'pricing__table',
+    PLAN_HEADER: 'pricing__table-plan',
+    PLAN_RECOMMENDED: 'pricing__table-plan--recommended',
+    PLAN_NAME: 'pricing__table-plan-name',
+    AMOUNT: 'pricing__table-amount',
+    GROUP: 'pricing__table-group',
+    FEATURE: 'pricing__table-feature',
+    CELL: 'pricing__table-cell',
+    CHECK: 'pricing__table-check',
+    DASH: 'pricing__table-dash',
+  }),
+  CHECK_PATH:
+    'M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 111.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z',
+});
+
+/**
+ * Creates an element with a class and optional text
+ * @param {string} tagName - Element name
+ * @param {string} [className] - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} Element
+ */
+function createElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+/**
+ * Creates visually hidden text for screen readers
+ * @param {string} text - Text to announce
+ * @returns {HTMLElement} Hidden span
+ */
+function createScreenReaderText(text) {
+  return createElement('span', 'sr-only', text);
+}
+
+/**
+ * Creates the check icon for included features
+ * @returns {SVGElement} Check icon
+ */
+function createCheckIcon() {
+  const namespace = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(namespace, 'svg');
+  svg.setAttribute('class', COMPARISON_CONFIG.CLASSES.CHECK);
+  svg.setAttribute('aria-hidden', 'true');
+  svg.setAttribute('width', '20');
+  svg.setAttribute('height', '20');
+  svg.setAttribute('viewBox', '0 0 20 20');
+  svg.setAttribute('fill', 'none');
+
+  const path = document.createElementNS(namespace, 'path');
+  path.setAttribute('d', COMPARISON_CONFIG.CHECK_PATH);
+  path.setAttribute('fill', 'currentColor');
+  svg.appendChild(path);
+
+  return svg;
+}
+
+/**
+ * Creates the header row with one column per plan
+ * @param {Array<Object>} plans - Plans in display order
+ * @returns {HTMLTableSectionElement} Table head
+ */
+function createTableHead(plans) {
+  const { CLASSES, LABELS } = COMPARISON_CONFIG;
+  const head = document.createElement('thead');
+  const row = document.createElement('tr');
+
+  const corner = createElement('th', CLASSES.FEATURE, t(LABELS.FEATURE));
+  corner.scope = 'col';
+  row.appendChild(corner);
+
+  plans.forEach((plan) => {
+    const header = createElement('th', CLASSES.PLAN_HEADER);
+    header.scope = 'col';
+    header.dataset.plan = plan.id;
+    header.classList.toggle(CLASSES.PLAN_RECOMMENDED, Boolean(plan.recommended));
+
+    header.appendChild(createElement('span', CLASSES.PLAN_NAME, t(plan.name)));
+    header.appendChild(createElement('span', CLASSES.AMOUNT));
+    row.appendChild(header);
+  });
+
+  head.appendChild(row);
+  return head;
+}
+
+/**
+ * Creates a cell for one plan's value of a feature
+ * @param {boolean|number|string|undefined} value - `true` for a check, a number
+ *   for a limit, the message key of a value such as "Unlimited", anything else
+ *   for a dash
+ * @returns {HTMLTableCellElement} Table cell
+ */
+function createValueCell(value) {
+  const { CLASSES, LABELS } = COMPARISON_CONFIG;
+  const cell = createElement('td', CLASSES.CELL);
+
+  if (value === true) {
+    cell.append(createCheckIcon(), createScreenReaderText(t(LABELS.INCLUDED)));
+  } else if (typeof value === 'number') {
+    cell.textContent = new Intl.NumberFormat(getLocale()).format(value);
+  } else if (typeof value === 'string') {
+    cell.textContent = t(value);
+  } else {
+    const dash = createElement('span', CLASSES.DASH, '—');
+    dash.setAttribute('aria-hidden', 'true');
+    cell.append(dash, createScreenReaderText(t(LABELS.NOT_INCLUDED)));
+  }
+
+  return cell;
+}
+
+/**
+ * Creates the body for one feature group, headed by a group row
+ * @param {Object} group - Feature group from site.config.json
+ * @param {Array<Object>} plans - Plans in display order
+ * @returns {HTMLTableSectionElement} Table body
+ */
+function createGroupBody(group, plans) {
+  const { CLASSES } = COMPARISON_CONFIG;
+  const body = document.createElement('tbody');
+
+  const groupRow = createElement('tr', CLASSES.GROUP);
+  const groupHeader = createElement('th', '', t(group.group));
+  groupHeader.scope = 'rowgroup';
+  groupHeader.colSpan = plans.length + 1;
+  groupRow.appendChild(groupHeader);
+  body.appendChild(groupRow);
+
+  group.rows.forEach(({ feature, values = {} }) => {
+    const row = document.createElement('tr');
+    const featureHeader = createElement('th', CLASSES.FEATURE, t(feature));
+    featureHeader.scope = 'row';
+    row.appendChild(featureHeader);
+
+    plans.forEach((plan) => row.appendChild(createValueCell(values[plan.id])));
+    body.appendChild(row);
+  });
+
+  return body;
+}
+
+/**
+ * Renders the comparison table into a container, replacing its contents
+ * @param {HTMLElement} container - Comparison container
+ * @returns {HTMLTableElement|null} Rendered table, or null without comparison data
+ */
+function renderComparisonTable(container) {
+  const groups = SITE_CONFIG.pricing.comparison || [];
+
+  if (groups.length === 0) {
+    console.warn('[Pricing] No comparison data configured');
+    container.replaceChildren();
+    return null;
+  }
+
+  const plans = getPlans();
+  const table = createElement('table', COMPARISON_CONFIG.CLASSES.TABLE);
+  table.appendChild(createElement('caption', 'sr-only', t(COMPARISON_CONFIG.CAPTION)));
+  table.appendChild(createTableHead(plans));
+  groups.forEach((group) => table.appendChild(createGroupBody(group, plans)));
+
+  container.replaceChildren(table);
+  return table;
+}
+
+/**
+ * Updates the price shown under each plan name
+ * @param {HTMLElement} container - Comparison container
+ * @param {Function} getPriceText - Returns the price text for a plan id
+ */
+function updateComparisonPrices(container, getPriceText) {
+  container.querySelectorAll(`.${COMPARISON_CONFIG.CLASSES.PLAN_HEADER}`).forEach((header) => {
+    const amount = header.querySelector(`.${COMPARISON_CONFIG.CLASSES.AMOUNT}`);
+    if (amount) {
+      amount.textContent = getPriceText(header.dataset.plan);
+    }
+  });
+}
+
+export { renderComparisonTable, updateComparisonPrices, COMPARISON_CONFIG };
@@ -1,12 +1,32 @@
 /**
  * Pricing Section Interactive Module
- * Handles CTA button click tracking, scroll animations, hover effects, and analytics
+ * Renders the pricing cards from the plans in site.config.json and handles the
+ * monthly/annual billing switch, currency selector, cards/comparison table view
+ * switch, CTA button click tracking, scroll animations, hover effects, and analytics.
+ * Plan names, descriptions, features and CTA labels are message keys, see src/locales.
  * 
  * @module pricing
  * @generated-from: TASK-008
- * @dependencies: []
+ * @dependencies: [site-config, currency, pricing-comparison, analytics, plan-context, i18n]
  */
 
+import { getPlan, getPlans } from './site-config.js';
+import {
+  getSupportedCurrencies,
+  getCurrency,
+  setCurrency,
+  getPriceTable,
+  getPlanPrice,
+  formatCurrency,
+  getCurrencySymbol,
+  CURRENCY_CONFIG,
+} from './currency.js';
+import { renderComparisonTable, updateComparisonPrices } from './pricing-comparison.js';
+import { track } from './analytics.js';
+import { applyExperiments } from './experiments.js';
+import { setPlanContext } from './plan-context.js';
+import { t, getLocale } from './i18n.js';
+
 /**
  * Configuration for pricing interactions
  */
@@ -17,84 +37,416 @@ const PRICING_CONFIG = Object.freeze({
     STAGGER_DELAY: 100,
   },
   ANALYTICS: {
-    CATEGORY: 'Pricing',
+    CATEGORY: 'pricing',
     ACTIONS: {
-      CTA_CLICK: 'CTA Click',
-      CARD_HOVER: 'Card Hover',
-      SECTION_VIEW: 'Section View',
+      CTA_CLICK: 'cta_click',
+      CARD_HOVER: 'card_hover',
+      BILLING_TOGGLE: 'billing_toggle',
+      CURRENCY_CHANGE: 'currency_change',
+      VIEW_TOGGLE: 'view_toggle',
     },
   },
+  VIEWS: {
+    CARDS: 'cards',
+    TABLE: 'table',
+  },
+  BILLING: {
+    MONTHLY: 'monthly',
+    ANNUAL: 'annual',
+    STORAGE_KEY: 'pricing_billing_period',
+  },
+  // Message keys, see src/locales
+  MESSAGES: {
+    PRICE_LABEL: 'pricing.priceLabel',
+    PRICE_LABEL_FREE: 'pricing.priceLabelFree',
+    UNIT: 'price.unit',
+    PER_PERIOD: 'price.perPeriod',
+    SAVINGS: 'pricing.savings',
+    SAVINGS_UP_TO: 'pricing.savingsUpTo',
+    PLAN_FEATURES: 'pricing.planFeatures',
+    CTA_LABEL: 'pricing.ctaLabel',
+  },
   SELECTORS: {
     SECTION: '.pricing',
+    GRID: '[data-pricing-grid]',
+    CARD_TEMPLATE: '#pricing-card-template',
+    FEATURE_TEMPLATE: '#pricing-feature-template',
     CARDS: '.pricing__card',
     CTA_BUTTONS: '.pricing__cta',
     CARD_RECOMMENDED: '.pricing__card--recommended',
+    BILLING: '.pricing__billing',
+    BILLING_TOGGLE: '[data-billing-toggle]',
+    BILLING_SAVINGS: '[data-billing-savings]',
+    CURRENCY_SELECT: '[data-currency-select]',
+    VIEW_BUTTONS: '[data-pricing-view]',
+    COMPARISON: '[data-pricing-comparison]',
   },
   CLASSES: {
+    RECOMMENDED: 'pricing__card--recommended',
+    CTA_PRIMARY: 'pricing__cta--primary',
+    CTA_SECONDARY: 'pricing__cta--secondary',
     ANIMATED: 'pricing__card--animated',
     HOVER_ACTIVE: 'pricing__card--hover-active',
   },
 });
 
 /**
- * Analytics event tracking utility
- * Safely tracks events to analytics platforms (Google Analytics, etc.)
+ * Billing period the cards are currently showing
+ * @type {string}
+ */
+let billingPeriod = PRICING_CONFIG.BILLING.MONTHLY;
+
+/**
+ * View currently shown: the card grid or the comparison table
+ * @type {string}
+ */
+let pricingView = PRICING_CONFIG.VIEWS.CARDS;
+
+/**
+ * Reports a pricing event through the analytics dispatcher
  * 
- * @param {Object} eventData - Event data to track
- * @param {string} eventData.category - Event category
- * @param {string} eventData.action - Event action
- * @param {string} eventData.label - Event label
- * @param {number} [eventData.value] - Optional event value
+ * @param {string} eventName - Event name from PRICING_CONFIG.ANALYTICS.ACTIONS
+ * @param {Object} [eventData] - Label, value and additional event metadata
  */
-function trackAnalyticsEvent({ category, action, label, value }) {
+function trackPricingEvent(eventName, eventData = {}) {
   try {
-    // Google Analytics 4 (gtag)
-    if (typeof window.gtag === 'function') {
-      window.gtag('event', action, {
-        event_category: category,
-        event_label: label,
-        value: value,
-      });
-    }
+    track(eventName, {
+      category: PRICING_CONFIG.ANALYTICS.CATEGORY,
+      ...eventData,
+    });
+  } catch (error) {
+    console.error('[Pricing] Analytics tracking failed:', error);
+  }
+}
 
-    // Google Analytics Universal (ga)
-    if (typeof window.ga === 'function') {
-      window.ga('send', 'event', category, action, label, value);
-    }
+/**
+ * Calculates the discount for paying annually instead of monthly
+ * 
+ * @param {Object} plan - Plan from site.config.json
+ * @returns {number} Whole percentage saved, 0 when there is no discount
+ */
+function getAnnualSavings(plan) {
+  const yearOfMonthly = getPriceTable(plan).monthly * 12;
 
-    // Custom analytics endpoint fallback
-    if (window.analytics && typeof window.analytics.track === 'function') {
-      window.analytics.track(action, {
-        category,
-        label,
-        value,
-      });
-    }
+  if (yearOfMonthly === 0) {
+    return 0;
+  }
+
+  const annual = getPlanPrice(plan, PRICING_CONFIG.BILLING.ANNUAL);
+  return Math.max(0, Math.round((1 - annual / yearOfMonthly) * 100));
+}
+
+/**
+ * Updates a card's amount, period label, accessible label and savings note
+ * 
+ * @param {HTMLElement} card - Pricing card element
+ * @param {Object} plan - Plan from site.config.json
+ * @param {string} period - Billing period
+ */
+function updateCardPrice(card, plan, period) {
+  const { MESSAGES } = PRICING_CONFIG;
+  const amount = getPlanPrice(plan, period);
+  const savings = period === PRICING_CONFIG.BILLING.ANNUAL ? getAnnualSavings(plan) : 0;
+
+  card.querySelector('.pricing__price').setAttribute(
+    'aria-label',
+    amount === 0
+      ? t(MESSAGES.PRICE_LABEL_FREE)
+      : t(MESSAGES.PRICE_LABEL, {
+          price: formatCurrency(amount, { locale: getLocale(), currencyDisplay: 'name' }),
+          period,
+        })
+  );
+  card.querySelector('.pricing__amount').textContent = formatCurrency(amount);
+  card.querySelector('.pricing__period').textContent = t(MESSAGES.UNIT, { period });
+
+  const savingsNote = card.querySelector('.pricing__savings');
+  if (savingsNote) {
+    savingsNote.textContent = savings > 0 ? t(MESSAGES.SAVINGS, { percent: savings }) : '';
+    savingsNote.hidden = savings === 0;
+  }
+}
+
+/**
+ * Builds a pricing card from the card and feature templates
+ * 
+ * @param {Object} plan - Plan from site.config.json, including its `id`
+ * @param {HTMLTemplateElement} cardTemplate - Card template
+ * @param {HTMLTemplateElement} featureTemplate - Feature list item template
+ * @returns {HTMLElement} Pricing card
+ */
+function createPricingCard(plan, cardTemplate, featureTemplate) {
+  const card = cardTemplate.content.firstElementChild.cloneNode(true);
+  const titleId = `${plan.id}-title`;
+  const name = t(plan.name);
+  const ctaLabel = t(plan.cta.label);
+
+  card.dataset.plan = plan.id;
+  card.setAttribute('aria-labelledby', titleId);
+  card.classList.toggle(PRICING_CONFIG.CLASSES.RECOMMENDED, Boolean(plan.recommended));
+
+  if (!plan.recommended) {
+    card.querySelector('.pricing__badge')?.remove();
+  }
+
+  const title = card.querySelector('.pricing__card-title');
+  title.id = titleId;
+  title.textContent = name;
+
+  updateCardPrice(card, plan, billingPeriod);
+  card.querySelector('.pricing__description').textContent = t(plan.description);
+
+  const featureList = card.querySelector('.pricing__features');
+  featureList.setAttribute(
+    'aria-label',
+    t(PRICING_CONFIG.MESSAGES.PLAN_FEATURES, { plan: name })
+  );
+  plan.features.forEach((feature) => {
+    const item = featureTemplate.content.firstElementChild.cloneNode(true);
+    item.querySelector('span').textContent = t(feature);
+    featureList.appendChild(item);
+  });
+
+  const cta = card.querySelector(PRICING_CONFIG.SELECTORS.CTA_BUTTONS);
+  cta.href = plan.cta.href;
+  cta.textContent = ctaLabel;
+  cta.setAttribute(
+    'aria-label',
+    plan.cta.ariaLabel
+      ? t(plan.cta.ariaLabel)
+      : t(PRICING_CONFIG.MESSAGES.CTA_LABEL, { cta: ctaLabel, plan: name })
+  );
+  cta.classList.add(
+    plan.recommended ? PRICING_CONFIG.CLASSES.CTA_PRIMARY : PRICING_CONFIG.CLASSES.CTA_SECONDARY
+  );
+
+  return card;
+}
+
+/**
+ * Renders one card per configured plan into the pricing grid
+ * 
+ * @param {HTMLElement} section - Pricing section element
+ * @returns {number} Number of cards rendered
+ */
+function renderPricingCards(section) {
+  const grid = section.querySelector(PRICING_CONFIG.SELECTORS.GRID);
+  const cardTemplate = section.querySelector(PRICING_CONFIG.SELECTORS.CARD_TEMPLATE);
+  const featureTemplate = section.querySelector(PRICING_CONFIG.SELECTORS.FEATURE_TEMPLATE);
+
+  if (!grid || !cardTemplate || !featureTemplate) {
+    console.warn('[Pricing] Pricing grid or card templates not found');
+    return 0;
+  }
+
+  const cards = getPlans().map((plan) => createPricingCard(plan, cardTemplate, featureTemplate));
+  grid.replaceChildren(...cards);
 
-    // Console logging in development
-    if (process.env.NODE_ENV !== 'production') {
-      console.log('[Analytics]', { category, action, label, value });
+  return cards.length;
+}
+
+/**
+ * Reads the persisted billing period
+ * 
+ * @returns {string} Stored billing period, monthly by default
+ */
+function loadBillingPeriod() {
+  try {
+    const stored = localStorage.getItem(PRICING_CONFIG.BILLING.STORAGE_KEY);
+    if (stored === PRICING_CONFIG.BILLING.ANNUAL) {
+      return stored;
     }
   } catch (error) {
-    console.error('[Pricing] Analytics tracking failed:', error);
+    // localStorage might be unavailable
+    console.warn('[Pricing] localStorage unavailable for billing period');
+  }
+
+  return PRICING_CONFIG.BILLING.MONTHLY;
+}
+
+/**
+ * Persists the billing period
+ * 
+ * @param {string} period - Billing period
+ */
+function saveBillingPeriod(period) {
+  try {
+    localStorage.setItem(PRICING_CONFIG.BILLING.STORAGE_KEY, period);
+  } catch (error) {
+    console.warn('[Pricing] Could not persist billing period');
   }
 }
 
 /**
- * Extracts pricing tier information from a card element
+ * Shows every card and the billing switch in the given billing period
+ * 
+ * @param {HTMLElement} section - Pricing section element
+ * @param {string} period - Billing period
+ */
+function applyBillingPeriod(section, period) {
+  billingPeriod = period;
+
+  const billing = section.querySelector(PRICING_CONFIG.SELECTORS.BILLING);
+  if (billing) {
+    billing.dataset.billing = period;
+  }
+
+  const toggle = section.querySelector(PRICING_CONFIG.SELECTORS.BILLING_TOGGLE);
+  if (toggle) {
+    toggle.setAttribute('aria-checked', String(period === PRICING_CONFIG.BILLING.ANNUAL));
+  }
+
+  section.querySelectorAll(PRICING_CONFIG.SELECTORS.CARDS).forEach((card) => {
+    const plan = getPlan(card.dataset.plan);
+    if (plan) {
+      updateCardPrice(card, plan, period);
+    }
+  });
+
+  const comparison = section.querySelector(PRICING_CONFIG.SELECTORS.COMPARISON);
+  if (comparison) {
+    updateComparisonPrices(comparison, (planId) => {
+      const plan = getPlan(planId);
+      return plan
+        ? t(PRICING_CONFIG.MESSAGES.PER_PERIOD, {
+            price: formatCurrency(getPlanPrice(plan, period)),
+            period,
+          })
+        : '';
+    });
+  }
+}
+
+/**
+ * Shows the best annual discount next to the billing switch
+ * 
+ * @param {HTMLElement} section - Pricing section element
+ */
+function renderBillingSavings(section) {
+  const savingsLabel = section.querySelector(PRICING_CONFIG.SELECTORS.BILLING_SAVINGS);
+  if (!savingsLabel) return;
+
+  const bestSavings = Math.max(0, ...getPlans().map(getAnnualSavings));
+  savingsLabel.textContent =
+    bestSavings > 0 ? t(PRICING_CONFIG.MESSAGES.SAVINGS_UP_TO, { percent: bestSavings }) : '';
+}
+
+/**
+ * Handles billing switch clicks
+ * 
+ * @param {Event} event - Click event
+ */
+function handleBillingToggle(event) {
+  const section = event.currentTarget.closest(PRICING_CONFIG.SELECTORS.SECTION);
+  const period = billingPeriod === PRICING_CONFIG.BILLING.ANNUAL
+    ? PRICING_CONFIG.BILLING.MONTHLY
+    : PRICING_CONFIG.BILLING.ANNUAL;
+
+  applyBillingPeriod(section, period);
+  saveBillingPeriod(period);
+
+  trackPricingEvent(PRICING_CONFIG.ANALYTICS.ACTIONS.BILLING_TOGGLE, {
+    label: period,
+  });
+}
+
+/**
+ * Handles currency selector changes
+ * 
+ * @param {Event} event - Change event
+ */
+function handleCurrencySelect(event) {
+  const currency = event.currentTarget.value;
+
+  if (setCurrency(currency)) {
+    trackPricingEvent(PRICING_CONFIG.ANALYTICS.ACTIONS.CURRENCY_CHANGE, {
+      label: currency,
+    });
+  }
+}
+
+/**
+ * Re-renders prices after the active currency changes
+ */
+function handleCurrencyChange() {
+  const section = document.querySelector(PRICING_CONFIG.SELECTORS.SECTION);
+  if (!section) return;
+
+  const select = section.querySelector(PRICING_CONFIG.SELECTORS.CURRENCY_SELECT);
+  if (select) {
+    select.value = getCurrency();
+  }
+
+  renderBillingSavings(section);
+  applyBillingPeriod(section, billingPeriod);
+}
+
+/**
+ * Shows either the card grid or the comparison table
+ * 
+ * @param {HTMLElement} section - Pricing section element
+ * @param {string} view - View to show
+ */
+function applyPricingView(section, view) {
+  pricingView = view;
+
+  const grid = section.querySelector(PRICING_CONFIG.SELECTORS.GRID);
+  const comparison = section.querySelector(PRICING_CONFIG.SELECTORS.COMPARISON);
+
+  if (grid) {
+    grid.hidden = view !== PRICING_CONFIG.VIEWS.CARDS;
+  }
+  if (comparison) {
+    comparison.hidden = view !== PRICING_CONFIG.VIEWS.TABLE;
+  }
+
+  section.querySelectorAll(PRICING_CONFIG.SELECTORS.VIEW_BUTTONS).forEach((button) => {
+    button.setAttribute('aria-pressed', String(button.dataset.pricingView === view));
+  });
+}
+
+/**
+ * Handles cards/table view button clicks
+ * 
+ * @param {Event} event - Click event
+ */
+function handleViewToggle(event) {
+  const button = event.currentTarget;
+  const view = button.dataset.pricingView;
+
+  if (view === pricingView) return;
+
+  applyPricingView(button.closest(PRICING_CONFIG.SELECTORS.SECTION), view);
+
+  trackPricingEvent(PRICING_CONFIG.ANALYTICS.ACTIONS.VIEW_TOGGLE, {
+    label: view,
+  });
+}
+
+/**
+ * Returns the billing period the cards are showing
+ * 
+ * @returns {string} Billing period
+ */
+function getBillingPeriod() {
+  return billingPeriod;
+}
+
+/**
+ * Looks up the plan behind a pricing card
  * 
  * @param {HTMLElement} card - Pricing card element
  * @returns {Object} Tier information
  */
 function extractTierInfo(card) {
-  const titleElement = card.querySelector('.pricing__card-title');
-  const priceElement = card.querySelector('.pricing__amount');
-  const isRecommended = card.classList.contains('pricing__card--recommended');
+  const plan = getPlan(card.dataset.plan);
 
   return {
-    tier: titleElement?.textContent?.trim() || 'Unknown',
-    price: priceElement?.textContent?.trim() || 'N/A',
-    recommended: isRecommended,
+    id: card.dataset.plan || null,
+    tier: plan ? t(plan.name) : 'Unknown',
+    price: plan ? getPlanPrice(plan, billingPeriod) : null,
+    billingPeriod,
+    recommended: Boolean(plan?.recommended),
   };
 }
 
@@ -116,13 +468,19 @@ function handleCtaClick(event) {
   const ctaText = button.textContent.trim();
 
   // Track analytics event
-  trackAnalyticsEvent({
-    category: PRICING_CONFIG.ANALYTICS.CATEGORY,
-    action: PRICING_CONFIG.ANALYTICS.ACTIONS.CTA_CLICK,
-    label: `${tierInfo.tier} - ${ctaText}`,
+  trackPricingEvent(PRICING_CONFIG.ANALYTICS.ACTIONS.CTA_CLICK, {
+    label: `${tierInfo.tier} - ${ctaText} - ${tierInfo.billingPeriod}`,
     value: tierInfo.recommended ? 1 : 0,
+    plan: tierInfo.id,
+    billingPeriod: tierInfo.billingPeriod,
+    currency: getCurrency(),
   });
 
+  // Carry the chosen plan into the signup and contact forms
+  if (tierInfo.id) {
+    setPlanContext(tierInfo.id, tierInfo.billingPeriod);
+  }
+
   // Add visual feedback
   button.style.transform = 'scale(0.95)';
   setTimeout(() => {
@@ -130,10 +488,11 @@ function handleCtaClick(event) {
   }, 150);
 
   // Log for debugging
-  if (process.env.NODE_ENV !== 'production') {
+  if (import.meta.env.DEV) {
     console.log('[Pricing] CTA clicked:', {
       tier: tierInfo.tier,
       price: tierInfo.price,
+      billingPeriod: tierInfo.billingPeriod,
       recommended: tierInfo.recommended,
       ctaText,
     });
@@ -156,9 +515,7 @@ function handleCardHover(event) {
   if (!card.dataset.hoverTracked) {
     card.dataset.hoverTracked = 'true';
 
-    trackAnalyticsEvent({
-      category: PRICING_CONFIG.ANALYTICS.CATEGORY,
-      action: PRICING_CONFIG.ANALYTICS.ACTIONS.CARD_HOVER,
+    trackPricingEvent(PRICING_CONFIG.ANALYTICS.ACTIONS.CARD_HOVER, {
       label: tierInfo.tier,
       value: tierInfo.recommended ? 1 : 0,
     });
@@ -214,16 +571,6 @@ function initializeScrollAnimations(section) {
         // Stagger animation for visual appeal
         setTimeout(() => {
           entry.target.classList.add(PRICING_CONFIG.CLASSES.ANIMATED);
-
-          // Track section view on first card animation
-          if (index === 0 && !section.dataset.viewTracked) {
-            section.dataset.viewTracked = 'true';
-            trackAnalyticsEvent({
-              category: PRICING_CONFIG.ANALYTICS.CATEGORY,
-              action: PRICING_CONFIG.ANALYTICS.ACTIONS.SECTION_VIEW,
-              label: 'Pricing Section Viewed',
-            });
-          }
         }, index * PRICING_CONFIG.ANIMATION.STAGGER_DELAY);
 
         // Stop observing after animation
@@ -255,11 +602,84 @@ function attachCtaListeners(section) {
     button.addEventListener('click', handleCtaClick);
   });
 
-  if (process.env.NODE_ENV !== 'production') {
+  if (import.meta.env.DEV) {
     console.log(`[Pricing] Attached listeners to ${ctaButtons.length} CTA buttons`);
   }
 }
 
+/**
+ * Renders the comparison table and wires up the cards/table view switch
+ * 
+ * @param {HTMLElement} section - Pricing section element
+ */
+function attachViewToggle(section) {
+  const comparison = section.querySelector(PRICING_CONFIG.SELECTORS.COMPARISON);
+  const buttons = section.querySelectorAll(PRICING_CONFIG.SELECTORS.VIEW_BUTTONS);
+
+  if (!comparison || buttons.length === 0) {
+    console.warn('[Pricing] Comparison view not found');
+    return;
+  }
+
+  if (!renderComparisonTable(comparison)) {
+    // Without comparison data only the cards can be shown
+    buttons.forEach((button) => {
+      button.hidden = true;
+    });
+    return;
+  }
+
+  applyPricingView(section, pricingView);
+  buttons.forEach((button) => {
+    button.addEventListener('click', handleViewToggle);
+  });
+}
+
+/**
+ * Restores the persisted billing period and wires up the billing switch
+ * 
+ * @param {HTMLElement} section - Pricing section element
+ */
+function attachBillingToggle(section) {
+  const toggle = section.querySelector(PRICING_CONFIG.SELECTORS.BILLING_TOGGLE);
+
+  if (!toggle) {
+    console.warn('[Pricing] Billing switch not found');
+    return;
+  }
+
+  renderBillingSavings(section);
+  applyBillingPeriod(section, loadBillingPeriod());
+  toggle.addEventListener('click', handleBillingToggle);
+}
+
+/**
+ * Fills the currency selector and keeps prices in sync with the active currency
+ * 
+ * @param {HTMLElement} section - Pricing section element
+ */
+function attachCurrencySelect(section) {
+  const select = section.querySelector(PRICING_CONFIG.SELECTORS.CURRENCY_SELECT);
+
+  if (!select) {
+    console.warn('[Pricing] Currency selector not found');
+    return;
+  }
+
+  select.replaceChildren(
+    ...getSupportedCurrencies().map((currency) => {
+      const option = document.createElement('option');
+      option.value = currency;
+      option.textContent = `${currency} (${getCurrencySymbol(currency)})`;
+      return option;
+    })
+  );
+  select.value = getCurrency();
+
+  select.addEventListener('change', handleCurrencySelect);
+  document.addEventListener(CURRENCY_CONFIG.EVENTS.CHANGE, handleCurrencyChange);
+}
+
 /**
  * Attaches hover effect listeners to pricing cards
  * 
@@ -278,7 +698,7 @@ function attachHoverListeners(section) {
     card.addEventListener('mouseleave', handleCardHoverLeave);
   });
 
-  if (process.env.NODE_ENV !== 'production') {
+  if (import.meta.env.DEV) {
     console.log(`[Pricing] Attached hover listeners to ${cards.length} cards`);
   }
 }
@@ -297,6 +717,22 @@ function cleanup(section) {
     button.removeEventListener('click', handleCtaClick);
   });
 
+  // Remove billing switch listener
+  section
+    .querySelector(PRICING_CONFIG.SELECTORS.BILLING_TOGGLE)
+    ?.removeEventListener('click', handleBillingToggle);
+
+  // Remove view switch listeners
+  section.querySelectorAll(PRICING_CONFIG.SELECTORS.VIEW_BUTTONS).forEach((button) => {
+    button.removeEventListener('click', handleViewToggle);
+  });
+
+  // Remove currency listeners
+  section
+    .querySelector(PRICING_CONFIG.SELECTORS.CURRENCY_SELECT)
+    ?.removeEventListener('change', handleCurrencySelect);
+  document.removeEventListener(CURRENCY_CONFIG.EVENTS.CHANGE, handleCurrencyChange);
+
   // Remove hover listeners
   const cards = section.querySelectorAll(PRICING_CONFIG.SELECTORS.CARDS);
   cards.forEach((card) => {
@@ -304,7 +740,7 @@ function cleanup(section) {
     card.removeEventListener('mouseleave', handleCardHoverLeave);
   });
 
-  if (process.env.NODE_ENV !== 'production') {
+  if (import.meta.env.DEV) {
     console.log('[Pricing] Cleanup completed');
   }
 }
@@ -323,12 +759,19 @@ function initializePricing() {
   }
 
   try {
+    // Cards must exist before listeners and observers are attached
+    renderPricingCards(section);
+    applyExperiments('pricing', section);
+
     // Initialize all features
+    attachViewToggle(section);
+    attachBillingToggle(section);
+    attachCurrencySelect(section);
     attachCtaListeners(section);
     attachHoverListeners(section);
     initializeScrollAnimations(section);
 
-    if (process.env.NODE_ENV !== 'production') {
+    if (import.meta.env.DEV) {
       console.log('[Pricing] Initialization complete');
     }
 
@@ -340,14 +783,10 @@ function initializePricing() {
   }
 }
 
-/**
- * Auto-initialize when DOM is ready
- */
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initializePricing);
-} else {
-  initializePricing();
-}
-
 // Export for module usage
-export { initializePricing, trackAnalyticsEvent, PRICING_CONFIG };
\ No newline at end of file
+export {
+  initializePricing,
+  renderPricingCards,
+  getBillingPeriod,
+  PRICING_CONFIG,
+};
\ No newline at end of file
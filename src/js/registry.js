@@ -0,0 +1,249 @@
+/**
+ * Module Lifecycle Registry
+ * Initializes application modules in dependency order, isolates failures and
+ * tears modules down in reverse order.
+ *
+ * @module registry
+ */
+
+/**
+ * Lifecycle status of a registered module
+ * @enum {string}
+ */
+const MODULE_STATUS = Object.freeze({
+  PENDING: 'pending',
+  READY: 'ready',
+  FAILED: 'failed',
+  DISABLED: 'disabled',
+  SKIPPED: 'skipped',
+  DESTROYED: 'destroyed',
+});
+
+/**
+ * Module declaration
+ * @typedef {Object} ModuleDefinition
+ * @property {string} name - Unique module name
+ * @property {Function} init - Initializer; may be async and may return a cleanup function
+ * @property {Function} [destroy] - Teardown; defaults to the cleanup function returned by init
+ * @property {string[]} [dependencies] - Modules that must be ready before this one runs
+ * @property {number} [priority] - Lower runs first among modules whose dependencies are met
+ * @property {boolean|Function} [enabled] - Whether the module should run, evaluated just before init
+ */
+
+/**
+ * Error record reported for a module that could not be initialized
+ * @typedef {Object} ModuleError
+ * @property {string} module - Module name
+ * @property {string} error - Error message
+ * @property {number} timestamp - Time of failure
+ */
+
+/**
+ * Registry of application modules
+ */
+class ModuleRegistry {
+  constructor() {
+    this.modules = new Map();
+    this.initOrder = [];
+    this.errors = [];
+    this.started = false;
+  }
+
+  /**
+   * Register a module
+   * @param {ModuleDefinition} definition - Module declaration
+   * @returns {ModuleRegistry} The registry, for chaining
+   * @throws {Error} If the declaration is invalid or the name is taken
+   */
+  register(definition) {
+    const { name, init } = definition;
+
+    if (!name || typeof init !== 'function') {
+      throw new Error('Module definition requires a name and an init function');
+    }
+
+    if (this.modules.has(name)) {
+      throw new Error(`Module "${name}" is already registered`);
+    }
+
+    this.modules.set(name, {
+      dependencies: [],
+      priority: 0,
+      enabled: true,
+      ...definition,
+      order: this.modules.size,
+      status: MODULE_STATUS.PENDING,
+      cleanup: null,
+    });
+
+    return this;
+  }
+
+  /**
+   * Resolve the initialization order
+   * Modules are ordered topologically; ties are broken by priority, then by
+   * registration order. Modules with unknown or circular dependencies are
+   * left out and reported as failed.
+   * @returns {Object[]} Module records in initialization order
+   */
+  resolveOrder() {
+    const records = Array.from(this.modules.values());
+    const remaining = new Map(records.map((record) => [record.name, record]));
+    const resolved = new Set();
+    const order = [];
+
+    records.forEach((record) => {
+      const missing = record.dependencies.filter((dep) => !this.modules.has(dep));
+      if (missing.length > 0) {
+        this.fail(record, new Error(`Unknown dependencies: ${missing.join(', ')}`));
+        remaining.delete(record.name);
+      }
+    });
+
+    for (;;) {
+      const ready = Array.from(remaining.values())
+        .filter((record) => record.dependencies.every((dep) => resolved.has(dep)))
+        .sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+      if (ready.length === 0) {
+        break;
+      }
+
+      const [next] = ready;
+      order.push(next);
+      resolved.add(next.name);
+      remaining.delete(next.name);
+    }
+
+    remaining.forEach((record) => {
+      const unresolved = record.dependencies.filter((dep) => !resolved.has(dep));
+      this.fail(
+        record,
+        new Error(`Unresolvable dependencies: ${unresolved.join(', ')}`)
+      );
+    });
+
+    return order;
+  }
+
+  /**
+   * Mark a module as failed and record the error
+   * @param {Object} record - Module record
+   * @param {Error} error - Failure cause
+   */
+  fail(record, error) {
+    record.status = MODULE_STATUS.FAILED;
+    this.errors.push({
+      module: record.name,
+      error: error.message,
+      timestamp: Date.now(),
+    });
+    console.error(`[Registry] Failed to initialize ${record.name}:`, error);
+  }
+
+  /**
+   * Initialize a single module, provided its dependencies are ready
+   * @param {Object} record - Module record
+   * @returns {Promise<void>}
+   */
+  async initModule(record) {
+    const blocked = record.dependencies.filter(
+      (dep) => this.modules.get(dep).status !== MODULE_STATUS.READY
+    );
+
+    if (blocked.length > 0) {
+      record.status = MODULE_STATUS.SKIPPED;
+      console.warn(`[Registry] Skipping ${record.name}: ${blocked.join(', ')} not ready`);
+      return;
+    }
+
+    const enabled =
+      typeof record.enabled === 'function' ? record.enabled() : record.enabled;
+
+    if (!enabled) {
+      record.status = MODULE_STATUS.DISABLED;
+      console.info(`[Registry] ${record.name} disabled`);
+      return;
+    }
+
+    try {
+      const result = await record.init();
+      record.cleanup = typeof result === 'function' ? result : null;
+      record.status = MODULE_STATUS.READY;
+      this.initOrder.push(record);
+    } catch (error) {
+      this.fail(record, error);
+    }
+  }
+
+  /**
+   * Initialize all registered modules and dispatch `app:ready`
+   * @returns {Promise<Object>} The `app:ready` event detail
+   */
+  async start() {
+    if (this.started) {
+      console.warn('[Registry] Already started');
+      return this.getReport();
+    }
+
+    this.started = true;
+
+    for (const record of this.resolveOrder()) {
+      await this.initModule(record);
+    }
+
+    const report = this.getReport();
+
+    if (report.errors.length > 0) {
+      console.warn(`[Registry] Initialization completed with ${report.errors.length} errors`);
+    }
+
+    window.dispatchEvent(new CustomEvent('app:ready', { detail: report }));
+    return report;
+  }
+
+  /**
+   * Destroy initialized modules in reverse initialization order
+   */
+  destroy() {
+    this.initOrder.reverse().forEach((record) => {
+      const teardown = record.destroy || record.cleanup;
+
+      try {
+        if (teardown) {
+          teardown();
+        }
+        record.status = MODULE_STATUS.DESTROYED;
+      } catch (error) {
+        console.error(`[Registry] Failed to destroy ${record.name}:`, error);
+      }
+    });
+
+    this.initOrder = [];
+  }
+
+  /**
+   * Get the status of a module
+   * @param {string} name - Module name
+   * @returns {string|undefined} One of MODULE_STATUS
+   */
+  getStatus(name) {
+    return this.modules.get(name)?.status;
+  }
+
+  /**
+   * Summarize module state
+   * @returns {{modules: string[], status: Object<string, string>, errors: ModuleError[]}}
+   */
+  getReport() {
+    return {
+      modules: this.initOrder.map((record) => record.name),
+      status: Object.fromEntries(
+        Array.from(this.modules.values()).map((record) => [record.name, record.status])
+      ),
+      errors: [...this.errors],
+    };
+  }
+}
+
+export { ModuleRegistry, MODULE_STATUS };
@@ -7,6 +7,11 @@
  * @modifies: index.html meta tags and structured data
  */
 
+import { SITE_CONFIG, absoluteUrl, getPlans, getSocialUrls } from './site-config.js';
+import { getCurrency, getPriceTable, CURRENCY_CONFIG } from './currency.js';
+import { whenConsented, CONSENT_CONFIG } from './consent.js';
+import { t, getLocale, getLocaleUrl, I18N_CONFIG } from './i18n.js';
+
 /**
  * Configuration for SEO metadata
  * @typedef {Object} SEOConfig
@@ -21,19 +26,63 @@
  */
 
 /**
- * Default SEO configuration
- * @type {SEOConfig}
+ * Default SEO configuration for the current locale
+ * @returns {SEOConfig} Localized title and description, and the locale's URL
+ */
+function getDefaultSeoConfig() {
+  return {
+    title: t('meta.title'),
+    description: t('meta.description'),
+    url: getLocaleUrl(getLocale()),
+    image: SITE_CONFIG.brand.image,
+    type: 'website',
+    siteName: SITE_CONFIG.brand.name,
+    twitterCard: 'summary_large_image',
+    twitterSite: SITE_CONFIG.social.twitter?.handle,
+  };
+}
+
+/**
+ * Converts a locale to the Open Graph `language_TERRITORY` form, filling in
+ * the likely region, e.g. `de` → `de_DE`
+ * @param {string} locale - BCP 47 language tag
+ * @returns {string} Open Graph locale
+ */
+function getOpenGraphLocale(locale) {
+  try {
+    const { language, region } = new Intl.Locale(locale).maximize();
+    return region ? `${language}_${region}` : language;
+  } catch (error) {
+    return locale.replace('-', '_');
+  }
+}
+
+/**
+ * Builds an aggregate offer from the monthly prices shown on the page,
+ * in the currency the visitor is viewing
+ * @returns {Object} JSON-LD aggregate offer
  */
-const DEFAULT_SEO_CONFIG = {
-  title: 'AI Task Manager - Intelligent Task Management for Modern Teams',
-  description: 'Transform your workflow with AI-powered task management. Automate prioritization, get intelligent insights, and boost team productivity with our cutting-edge task management platform.',
-  url: typeof window !== 'undefined' ? window.location.origin : '',
-  image: '/images/og-image.jpg',
-  type: 'website',
-  siteName: 'AI Task Manager',
-  twitterCard: 'summary_large_image',
-  twitterSite: '@aitaskmanager',
-};
+function generateOfferSchema() {
+  const currency = getCurrency();
+  const plans = getPlans();
+  const prices = plans.map((plan) => getPriceTable(plan, currency).monthly);
+
+  return {
+    '@type': 'AggregateOffer',
+    lowPrice: String(Math.min(...prices)),
+    highPrice: String(Math.max(...prices)),
+    priceCurrency: currency,
+    offerCount: String(plans.length),
+    offers: plans.map((plan, index) => ({
+      '@type': 'Offer',
+      name: t(plan.name),
+      description: t(plan.description),
+      price: String(prices[index]),
+      priceCurrency: currency,
+      url: absoluteUrl('/#pricing'),
+    })),
+  };
+}
 
 /**
  * Structured data schema for the organization
@@ -43,24 +92,32 @@ function generateOrganizationSchema() {
   return {
     '@context': 'https://schema.org',
     '@type': 'Organization',
-    name: 'AI Task Manager',
-    url: DEFAULT_SEO_CONFIG.url,
-    logo: `${DEFAULT_SEO_CONFIG.url}/images/logo.png`,
-    description: DEFAULT_SEO_CONFIG.description,
-    sameAs: [
-      'https://twitter.com/aitaskmanager',
-      'https://linkedin.com/company/aitaskmanager',
-      'https://github.com/aitaskmanager',
-    ],
+    name: SITE_CONFIG.brand.name,
+    url: SITE_CONFIG.url,
+    logo: absoluteUrl(SITE_CONFIG.brand.logo),
+    description: t('meta.description'),
+    foundingDate: String(SITE_CONFIG.brand.foundingYear),
+    sameAs: getSocialUrls(),
     contactPoint: {
       '@type': 'ContactPoint',
       contactType: 'Customer Service',
-      email: 'support@aitaskmanager.com',
-      availableLanguage: ['English'],
+      email: SITE_CONFIG.contact.email,
+      availableLanguage: I18N_CONFIG.LOCALES.map((locale) => SITE_CONFIG.i18n.locales[locale].name),
     },
   };
 }
 
+/**
+ * Message keys of the features listed in the software application schema
+ */
+const FEATURE_LIST_MESSAGES = Object.freeze([
+  'meta.features.prioritization',
+  'meta.features.deadlines',
+  'meta.features.workflows',
+  'meta.features.collaboration',
+  'meta.features.analytics',
+]);
+
 /**
  * Structured data schema for the software application
  * @returns {Object} JSON-LD software application schema
@@ -69,31 +126,20 @@ function generateSoftwareApplicationSchema() {
   return {
     '@context': 'https://schema.org',
     '@type': 'SoftwareApplication',
-    name: 'AI Task Manager',
+    name: SITE_CONFIG.brand.name,
     applicationCategory: 'BusinessApplication',
     operatingSystem: 'Web',
-    offers: {
-      '@type': 'Offer',
-      price: '0',
-      priceCurrency: 'USD',
-      description: 'Free tier available with premium plans',
-    },
+    offers: generateOfferSchema(),
     aggregateRating: {
       '@type': 'AggregateRating',
-      ratingValue: '4.8',
-      ratingCount: '1250',
+      ratingValue: String(SITE_CONFIG.rating.value),
+      ratingCount: String(SITE_CONFIG.rating.count),
       bestRating: '5',
       worstRating: '1',
     },
-    description: DEFAULT_SEO_CONFIG.description,
-    screenshot: `${DEFAULT_SEO_CONFIG.url}/images/app-screenshot.jpg`,
-    featureList: [
-      'AI-powered task prioritization',
-      'Intelligent deadline prediction',
-      'Automated workflow optimization',
-      'Real-time collaboration',
-      'Advanced analytics and insights',
-    ],
+    description: t('meta.description'),
+    screenshot: absoluteUrl(SITE_CONFIG.brand.screenshot),
+    featureList: FEATURE_LIST_MESSAGES.map((key) => t(key)),
   };
 }
 
@@ -105,14 +151,15 @@ function generateWebSiteSchema() {
   return {
     '@context': 'https://schema.org',
     '@type': 'WebSite',
-    name: DEFAULT_SEO_CONFIG.siteName,
-    url: DEFAULT_SEO_CONFIG.url,
-    description: DEFAULT_SEO_CONFIG.description,
+    name: SITE_CONFIG.brand.name,
+    url: SITE_CONFIG.url,
+    description: t('meta.description'),
+    inLanguage: getLocale(),
     potentialAction: {
       '@type': 'SearchAction',
       target: {
         '@type': 'EntryPoint',
-        urlTemplate: `${DEFAULT_SEO_CONFIG.url}/search?q={search_term_string}`,
+        urlTemplate: `${SITE_CONFIG.url}/search?q={search_term_string}`,
       },
       'query-input': 'required name=search_term_string',
     },
@@ -132,7 +179,7 @@ function generateBreadcrumbSchema() {
         '@type': 'ListItem',
         position: 1,
         name: 'Home',
-        item: DEFAULT_SEO_CONFIG.url,
+        item: getLocaleUrl(getLocale()),
       },
     ],
   };
@@ -187,6 +234,45 @@ function setLinkTag(rel, href) {
   linkTag.setAttribute('href', href);
 }
 
+/**
+ * Links every locale's version of the page with `hreflang` alternates, plus
+ * an `x-default` for visitors whose language is not supported. The build
+ * writes the same links (see plugins/i18n.js); this keeps them complete.
+ */
+function setAlternateLinks() {
+  const { LOCALES, DEFAULT_LOCALE } = I18N_CONFIG;
+  const alternates = [
+    ...LOCALES.map((locale) => [locale, getLocaleUrl(locale)]),
+    ['x-default', getLocaleUrl(DEFAULT_LOCALE)],
+  ];
+
+  alternates.forEach(([hreflang, href]) => {
+    let link = document.querySelector(`link[rel="alternate"][hreflang="${hreflang}"]`);
+
+    if (!link) {
+      link = document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = hreflang;
+      document.head.appendChild(link);
+    }
+    link.href = href;
+  });
+}
+
+/**
+ * Lists the other locales as `og:locale:alternate` tags
+ */
+function setAlternateLocaleTags() {
+  document.querySelectorAll('meta[property="og:locale:alternate"]').forEach((tag) => tag.remove());
+
+  I18N_CONFIG.LOCALES.filter((locale) => locale !== getLocale()).forEach((locale) => {
+    const tag = document.createElement('meta');
+    tag.setAttribute('property', 'og:locale:alternate');
+    tag.setAttribute('content', getOpenGraphLocale(locale));
+    document.head.appendChild(tag);
+  });
+}
+
 /**
  * Injects structured data script into the document
  * @param {Object} schema - JSON-LD schema object
@@ -218,19 +304,20 @@ function injectStructuredData(schema, id) {
  * @param {Partial<SEOConfig>} config - SEO configuration overrides
  */
 function setupBasicMetaTags(config = {}) {
-  const seoConfig = { ...DEFAULT_SEO_CONFIG, ...config };
+  const seoConfig = { ...getDefaultSeoConfig(), ...config };
 
   try {
     // Basic meta tags
     document.title = seoConfig.title;
     setMetaTag('description', seoConfig.description);
     setMetaTag('keywords', 'AI task manager, task management, productivity, workflow automation, team collaboration');
-    setMetaTag('author', 'AI Task Manager Team');
+    setMetaTag('author', `${SITE_CONFIG.brand.name} Team`);
     setMetaTag('robots', 'index, follow');
     setMetaTag('viewport', 'width=device-width, initial-scale=1.0');
     
-    // Canonical URL
+    // Canonical URL and the page in every other language
     setLinkTag('canonical', seoConfig.url);
+    setAlternateLinks();
     
     console.log('[SEO] Basic meta tags configured');
   } catch (error) {
@@ -243,18 +330,19 @@ function setupBasicMetaTags(config = {}) {
  * @param {Partial<SEOConfig>} config - SEO configuration overrides
  */
 function setupOpenGraphTags(config = {}) {
-  const seoConfig = { ...DEFAULT_SEO_CONFIG, ...config };
+  const seoConfig = { ...getDefaultSeoConfig(), ...config };
 
   try {
     setMetaTag('og:title', seoConfig.title, true);
     setMetaTag('og:description', seoConfig.description, true);
     setMetaTag('og:type', seoConfig.type, true);
     setMetaTag('og:url', seoConfig.url, true);
-    setMetaTag('og:image', `${seoConfig.url}${seoConfig.image}`, true);
+    setMetaTag('og:image', absoluteUrl(seoConfig.image), true);
     setMetaTag('og:image:width', '1200', true);
     setMetaTag('og:image:height', '630', true);
     setMetaTag('og:site_name', seoConfig.siteName, true);
-    setMetaTag('og:locale', 'en_US', true);
+    setMetaTag('og:locale', getOpenGraphLocale(getLocale()), true);
+    setAlternateLocaleTags();
     
     console.log('[SEO] Open Graph tags configured');
   } catch (error) {
@@ -267,13 +355,13 @@ function setupOpenGraphTags(config = {}) {
  * @param {Partial<SEOConfig>} config - SEO configuration overrides
  */
 function setupTwitterCardTags(config = {}) {
-  const seoConfig = { ...DEFAULT_SEO_CONFIG, ...config };
+  const seoConfig = { ...getDefaultSeoConfig(), ...config };
 
   try {
     setMetaTag('twitter:card', seoConfig.twitterCard);
     setMetaTag('twitter:title', seoConfig.title);
     setMetaTag('twitter:description', seoConfig.description);
-    setMetaTag('twitter:image', `${seoConfig.url}${seoConfig.image}`);
+    setMetaTag('twitter:image', absoluteUrl(seoConfig.image));
     
     if (seoConfig.twitterSite) {
       setMetaTag('twitter:site', seoConfig.twitterSite);
@@ -302,6 +390,14 @@ function setupStructuredData() {
   }
 }
 
+/**
+ * Re-injects the software application schema so its offer matches the
+ * currency the pricing cards are displayed in
+ */
+function handleCurrencyChange() {
+  injectStructuredData(generateSoftwareApplicationSchema(), 'software-schema');
+}
+
 /**
  * Prepares analytics integration points
  * Sets up data attributes and event listeners for analytics tracking
@@ -428,12 +524,18 @@ function validateSEOImplementation() {
 export function initializeSEO(config = {}) {
   console.log('[SEO] Initializing SEO enhancements');
 
+  let cancelAnalyticsIntegration = () => {};
+
   try {
     setupBasicMetaTags(config);
     setupOpenGraphTags(config);
     setupTwitterCardTags(config);
     setupStructuredData();
-    prepareAnalyticsIntegration();
+    cancelAnalyticsIntegration = whenConsented(
+      CONSENT_CONFIG.CATEGORIES.ANALYTICS,
+      prepareAnalyticsIntegration
+    );
+    document.addEventListener(CURRENCY_CONFIG.EVENTS.CHANGE, handleCurrencyChange);
 
     // Validate implementation in development
     if (import.meta.env.DEV) {
@@ -450,6 +552,8 @@ export function initializeSEO(config = {}) {
 
   // Return cleanup function
   return () => {
+    cancelAnalyticsIntegration();
+    document.removeEventListener(CURRENCY_CONFIG.EVENTS.CHANGE, handleCurrencyChange);
     console.log('[SEO] Cleanup completed');
   };
 }
@@ -0,0 +1,148 @@
+/**
+ * Service Worker Registration
+ * Registers the worker built from src/sw.js, which caches the site for
+ * repeat and offline visits and delivers queued form submissions through
+ * Background Sync. Production only, so development never runs a stale worker.
+ *
+ * When a deploy ships a new worker it waits behind the running one, and the
+ * visitor is offered a reload. Accepting activates the new worker, which
+ * clears the old caches, and reloads the page once it has taken control.
+ *
+ * @module service-worker
+ * @dependencies: [i18n]
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Registration configuration
+ */
+const SERVICE_WORKER_CONFIG = Object.freeze({
+  URL: `${import.meta.env.BASE_URL}sw.js`,
+  SCOPE: import.meta.env.BASE_URL,
+  // Matches CACHE_CONFIG.SKIP_WAITING_MESSAGE in src/sw.js
+  SKIP_WAITING_MESSAGE: 'sw:skip-waiting',
+  CLASSES: Object.freeze({
+    PROMPT: 'update-prompt',
+    MESSAGE: 'update-prompt__message',
+    RELOAD: 'update-prompt__reload',
+    DISMISS: 'update-prompt__dismiss',
+  }),
+});
+
+/**
+ * Update prompt state
+ */
+const state = {
+  prompt: null,
+  // Set once the visitor accepts the update, so only that takes over reloads
+  reloading: false,
+};
+
+/**
+ * Creates a button for the update prompt
+ * @param {string} className - Button class
+ * @param {string} label - Button text
+ * @returns {HTMLButtonElement} Button
+ */
+function createButton(className, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Removes the update prompt
+ */
+function hideUpdatePrompt() {
+  state.prompt?.remove();
+  state.prompt = null;
+}
+
+/**
+ * Offers to reload into the waiting worker
+ * @param {ServiceWorker} worker - Installed worker waiting to activate
+ */
+function showUpdatePrompt(worker) {
+  const { CLASSES } = SERVICE_WORKER_CONFIG;
+  hideUpdatePrompt();
+
+  const prompt = document.createElement('div');
+  prompt.className = CLASSES.PROMPT;
+  prompt.setAttribute('role', 'status');
+
+  const message = document.createElement('p');
+  message.className = CLASSES.MESSAGE;
+  message.textContent = t('update.message');
+
+  const reload = createButton(`btn btn-primary btn-sm ${CLASSES.RELOAD}`, t('update.reload'));
+  reload.addEventListener('click', () => {
+    state.reloading = true;
+    reload.disabled = true;
+    worker.postMessage({ type: SERVICE_WORKER_CONFIG.SKIP_WAITING_MESSAGE });
+  });
+
+  const dismiss = createButton(`btn btn-ghost btn-icon btn-icon-sm ${CLASSES.DISMISS}`, '×');
+  dismiss.setAttribute('aria-label', t('update.dismiss'));
+  dismiss.addEventListener('click', hideUpdatePrompt);
+
+  prompt.append(message, reload, dismiss);
+  document.body.appendChild(prompt);
+  state.prompt = prompt;
+}
+
+/**
+ * Prompts once an updated worker has installed. The very first install has
+ * no controller to replace, so it takes over without asking.
+ * @param {ServiceWorkerRegistration} registration - Registration
+ */
+function watchForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker);
+      }
+    });
+  });
+}
+
+/**
+ * Reloads into the new worker once it controls the page
+ */
+function handleControllerChange() {
+  if (state.reloading) {
+    window.location.reload();
+  }
+}
+
+/**
+ * Registers the service worker
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null when unavailable
+ */
+async function initServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register(SERVICE_WORKER_CONFIG.URL, {
+      scope: SERVICE_WORKER_CONFIG.SCOPE,
+    });
+    navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+    watchForUpdates(registration);
+    console.log('[ServiceWorker] Registered for', registration.scope);
+    return registration;
+  } catch (error) {
+    console.warn('[ServiceWorker] Registration failed:', error.message);
+    return null;
+  }
+}
+
+export { initServiceWorker, SERVICE_WORKER_CONFIG };
@@ -0,0 +1,513 @@
+/**
+ * Signup Wizard Module
+ * Splits the signup form into account, team and plan steps with a progress
+ * indicator. Each step is validated through FormValidator before the next one
+ * opens, every step gets a browser history entry so back/forward move between
+ * steps, and progress is kept in sessionStorage so a reload resumes where the
+ * visitor left off. Passwords are never stored; after a reload the wizard
+ * resumes no later than the step asking for them.
+ *
+ * The last step hands the submission to js/forms.js, which posts it as JSON to
+ * the `signup.endpoint` in site.config.json.
+ *
+ * @module signup
+ * @dependencies: [forms, site-config, currency, analytics, i18n]
+ */
+
+import FormValidator from '../../js/forms.js';
+import { getPlan, getPlans } from './site-config.js';
+import { formatPlanPrice, CURRENCY_CONFIG } from './currency.js';
+import { track } from './analytics.js';
+import { t } from './i18n.js';
+
+/**
+ * Wizard configuration
+ */
+const SIGNUP_CONFIG = Object.freeze({
+  STORAGE_KEY: 'signup_progress',
+  // Key of the step index in history.state
+  HISTORY_KEY: 'signupStep',
+  ANALYTICS: Object.freeze({
+    CATEGORY: 'signup',
+    STEP_VIEW: 'signup_step',
+  }),
+  // Message keys, see src/locales
+  LABELS: Object.freeze({
+    NEXT: 'signup.next',
+    SUBMIT: 'signup.submit',
+    SUMMARY_PLAN: 'signup.summary.plan',
+    SUMMARY_PRICE: 'signup.summary.price',
+    SUMMARY_TEAM: 'signup.summary.team',
+    SUMMARY_ACCOUNT: 'signup.summary.account',
+  }),
+  // Field types whose values are never written to sessionStorage
+  UNSTORED_TYPES: Object.freeze(['password', 'file']),
+  SELECTORS: Object.freeze({
+    SECTION: '#signup',
+    FORM: '.signup__form',
+    STEPS: '[data-signup-step]',
+    PROGRESS_STEPS: '[data-signup-progress-step]',
+    LEGEND: '.signup__legend',
+    BACK: '[data-signup-back]',
+    NEXT: '[data-signup-next]',
+    PLANS: '[data-signup-plans]',
+    PLAN_TEMPLATE: '#signup-plan-template',
+    SUMMARY: '[data-signup-summary]',
+  }),
+  CLASSES: Object.freeze({
+    STEP_COMPLETE: 'signup__progress-step--complete',
+  }),
+});
+
+/**
+ * Wizard state
+ */
+const state = {
+  section: null,
+  form: null,
+  steps: [],
+  current: 0,
+  // Set while a step is validated, so repeated clicks do not skip ahead
+  busy: false,
+  // Set while the final submission is passed on to js/forms.js
+  handingOff: false,
+};
+
+/**
+ * Reports a signup event through the analytics dispatcher
+ * @param {string} eventName - Event name
+ * @param {Object} [eventData] - Label, value and additional event metadata
+ */
+function trackSignupEvent(eventName, eventData = {}) {
+  try {
+    track(eventName, { category: SIGNUP_CONFIG.ANALYTICS.CATEGORY, ...eventData });
+  } catch (error) {
+    console.error('[Signup] Analytics tracking failed:', error);
+  }
+}
+
+/**
+ * Returns the value of a checked radio in the form
+ * @param {string} name - Radio group name
+ * @returns {string|null} Checked value
+ */
+function getChoice(name) {
+  const checked = state.form.querySelector(`input[name="${name}"]:checked`);
+  return checked ? checked.value : null;
+}
+
+/**
+ * Renders one radio per configured plan; the recommended plan is the default
+ */
+function renderPlanOptions() {
+  const container = state.section.querySelector(SIGNUP_CONFIG.SELECTORS.PLANS);
+  const template = state.section.querySelector(SIGNUP_CONFIG.SELECTORS.PLAN_TEMPLATE);
+
+  if (!container || !template) {
+    console.warn('[Signup] Plan options or template not found');
+    return;
+  }
+
+  const plans = getPlans();
+  const defaultPlan = plans.find((plan) => plan.recommended) || plans[0];
+
+  plans.forEach((plan) => {
+    const option = template.content.firstElementChild.cloneNode(true);
+    const input = option.querySelector('input');
+
+    input.value = plan.id;
+    input.defaultChecked = plan === defaultPlan;
+    option.querySelector('.signup__plan-name').textContent = t(plan.name);
+    container.appendChild(option);
+  });
+}
+
+/**
+ * Updates the plan prices and the summary for the chosen plan and billing period
+ */
+function renderSummary() {
+  const period = getChoice('billingPeriod') || 'monthly';
+
+  state.section.querySelectorAll('input[name="plan"]').forEach((input) => {
+    const plan = getPlan(input.value);
+    input.closest('label').querySelector('.signup__plan-price').textContent = plan
+      ? formatPlanPrice(plan, period)
+      : '';
+  });
+
+  const summary = state.section.querySelector(SIGNUP_CONFIG.SELECTORS.SUMMARY);
+  const plan = getPlan(getChoice('plan'));
+  if (!summary || !plan) return;
+
+  const { LABELS } = SIGNUP_CONFIG;
+  const rows = [
+    [LABELS.SUMMARY_PLAN, t(plan.name)],
+    [LABELS.SUMMARY_PRICE, formatPlanPrice(plan, period)],
+    [LABELS.SUMMARY_TEAM, state.form.elements.namedItem('team')?.value || '—'],
+    [LABELS.SUMMARY_ACCOUNT, state.form.elements.namedItem('email')?.value || '—'],
+  ];
+
+  summary.replaceChildren(
+    ...rows.flatMap(([term, description]) => {
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = t(term);
+      dd.textContent = description;
+      return [dt, dd];
+    })
+  );
+}
+
+/**
+ * Lists the form fields whose values are kept in sessionStorage
+ * @returns {HTMLElement[]} Fields
+ */
+function getStoredFields() {
+  return Array.from(state.form.elements).filter(
+    (field) =>
+      field.name &&
+      !field.dataset.honeypot &&
+      !SIGNUP_CONFIG.UNSTORED_TYPES.includes(field.type) &&
+      field.type !== 'submit' &&
+      field.type !== 'button'
+  );
+}
+
+/**
+ * Saves the current step and field values to sessionStorage
+ */
+function saveProgress() {
+  const values = {};
+
+  getStoredFields().forEach((field) => {
+    if (field.type === 'radio') {
+      if (field.checked) values[field.name] = field.value;
+    } else if (field.type === 'checkbox') {
+      values[field.name] = field.checked;
+    } else {
+      values[field.name] = field.value;
+    }
+  });
+
+  try {
+    sessionStorage.setItem(
+      SIGNUP_CONFIG.STORAGE_KEY,
+      JSON.stringify({ step: state.current, values })
+    );
+  } catch (error) {
+    // sessionStorage might be unavailable; progress then lasts until reload
+  }
+}
+
+/**
+ * Restores saved field values and returns the step to resume on
+ * @returns {number} Step index
+ */
+function restoreProgress() {
+  let saved = null;
+
+  try {
+    saved = JSON.parse(sessionStorage.getItem(SIGNUP_CONFIG.STORAGE_KEY));
+  } catch (error) {
+    saved = null;
+  }
+
+  if (!saved || typeof saved.values !== 'object' || saved.values === null) {
+    return 0;
+  }
+
+  getStoredFields().forEach((field) => {
+    if (!(field.name in saved.values)) return;
+
+    const value = saved.values[field.name];
+    if (field.type === 'radio') {
+      field.checked = field.value === value;
+    } else if (field.type === 'checkbox') {
+      field.checked = value === true;
+    } else {
+      field.value = value;
+    }
+  });
+
+  // Passwords were not stored, so resume no later than the step asking for them
+  const needsPassword = state.steps.findIndex((step) =>
+    Array.from(step.querySelectorAll('input[type="password"][required]')).some(
+      (field) => !field.value
+    )
+  );
+  const step = Number.isInteger(saved.step) ? saved.step : 0;
+  const resumeAt = needsPassword === -1 ? step : Math.min(step, needsPassword);
+
+  return Math.max(0, Math.min(resumeAt, state.steps.length - 1));
+}
+
+/**
+ * Clears the saved progress
+ */
+function clearProgress() {
+  try {
+    sessionStorage.removeItem(SIGNUP_CONFIG.STORAGE_KEY);
+  } catch (error) {
+    // Nothing was stored
+  }
+}
+
+/**
+ * Shows a step, updates the progress indicator and buttons and saves progress
+ * @param {number} index - Step index
+ * @param {Object} [options]
+ * @param {boolean} [options.focus=true] - Whether to move focus to the step's legend
+ */
+function showStep(index, { focus = true } = {}) {
+  const { SELECTORS, CLASSES, LABELS } = SIGNUP_CONFIG;
+  const isLast = index === state.steps.length - 1;
+  const changed = index !== state.current;
+
+  state.current = index;
+
+  state.steps.forEach((step, stepIndex) => {
+    step.hidden = stepIndex !== index;
+  });
+
+  state.section.querySelectorAll(SELECTORS.PROGRESS_STEPS).forEach((item, itemIndex) => {
+    item.classList.toggle(CLASSES.STEP_COMPLETE, itemIndex < index);
+    if (itemIndex === index) {
+      item.setAttribute('aria-current', 'step');
+    } else {
+      item.removeAttribute('aria-current');
+    }
+  });
+
+  const back = state.section.querySelector(SELECTORS.BACK);
+  if (back) back.hidden = index === 0;
+
+  const next = state.section.querySelector(SELECTORS.NEXT);
+  if (next) next.textContent = t(isLast ? LABELS.SUBMIT : LABELS.NEXT);
+
+  if (isLast) renderSummary();
+  saveProgress();
+
+  if (focus) {
+    state.steps[index].querySelector(SELECTORS.LEGEND)?.focus();
+  }
+
+  if (changed) {
+    trackSignupEvent(SIGNUP_CONFIG.ANALYTICS.STEP_VIEW, {
+      label: state.steps[index].dataset.signupStep,
+      value: index + 1,
+    });
+  }
+}
+
+/**
+ * Moves to a step and records it in the browser history
+ * @param {number} index - Step index
+ */
+function goToStep(index) {
+  const { HISTORY_KEY } = SIGNUP_CONFIG;
+
+  // Give the entry the wizard started on a step too, so going back reaches it
+  if (!Number.isInteger(history.state?.[HISTORY_KEY])) {
+    history.replaceState({ ...history.state, [HISTORY_KEY]: state.current }, '');
+  }
+  history.pushState({ [HISTORY_KEY]: index }, '');
+
+  showStep(index);
+}
+
+/**
+ * Validates a step and focuses its first invalid field
+ * @param {number} index - Step index
+ * @returns {Promise<boolean>} Whether the step is valid
+ */
+async function validateStep(index) {
+  const { valid } = await FormValidator.validateForm(state.steps[index]);
+  return valid;
+}
+
+/**
+ * Focuses the first invalid field of the current step
+ */
+function focusFirstError() {
+  state.steps[state.current].querySelector('.error')?.focus();
+}
+
+/**
+ * Validates the current step and opens the next one, or on the last step
+ * validates every step and passes the submission on to js/forms.js
+ */
+async function advance() {
+  const last = state.steps.length - 1;
+
+  if (state.current < last) {
+    if (await validateStep(state.current)) {
+      goToStep(state.current + 1);
+    } else {
+      focusFirstError();
+    }
+    return;
+  }
+
+  // Earlier steps may have changed since, e.g. after moving forward through history
+  for (let index = 0; index <= last; index++) {
+    if (!(await validateStep(index))) {
+      if (index !== state.current) goToStep(index);
+      focusFirstError();
+      return;
+    }
+  }
+
+  trackSignupEvent('signup_submit', { label: getChoice('plan') });
+
+  state.handingOff = true;
+  try {
+    state.form.requestSubmit();
+  } finally {
+    state.handingOff = false;
+  }
+}
+
+/**
+ * Intercepts submissions in the capture phase, before js/forms.js sees them,
+ * so that all but the last step only advance the wizard
+ * @param {SubmitEvent} event - Submit event
+ */
+async function handleSubmit(event) {
+  if (event.target !== state.form || state.handingOff) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+
+  if (state.busy) return;
+
+  state.busy = true;
+  try {
+    await advance();
+  } finally {
+    state.busy = false;
+  }
+}
+
+/**
+ * Returns to the previous step through the browser history
+ */
+function handleBack() {
+  if (Number.isInteger(history.state?.[SIGNUP_CONFIG.HISTORY_KEY])) {
+    history.back();
+  } else if (state.current > 0) {
+    // The history entries are gone, e.g. the page was restored without them
+    goToStep(state.current - 1);
+  }
+}
+
+/**
+ * Shows the step recorded in a history entry
+ * @param {PopStateEvent} event - Popstate event
+ */
+function handlePopState(event) {
+  const index = event.state?.[SIGNUP_CONFIG.HISTORY_KEY];
+
+  if (Number.isInteger(index) && index >= 0 && index < state.steps.length) {
+    showStep(index);
+  }
+}
+
+/**
+ * Saves progress and keeps the plan summary current as fields change
+ * @param {Event} event - Input or change event
+ */
+function handleFieldChange(event) {
+  if (event.target.name === 'plan' || event.target.name === 'billingPeriod') {
+    renderSummary();
+  }
+  saveProgress();
+}
+
+/**
+ * Starts over after a successful or queued submission
+ */
+function handleSubmitted() {
+  history.replaceState({ ...history.state, [SIGNUP_CONFIG.HISTORY_KEY]: 0 }, '');
+
+  // js/forms.js restores the submit button's label after this event; relabel it afterwards
+  queueMicrotask(() => {
+    showStep(0, { focus: false });
+    clearProgress();
+  });
+}
+
+/**
+ * Opens the step holding the first field the server rejected
+ * @param {CustomEvent} event - `forms:failed` event
+ */
+function handleFailed(event) {
+  const [name] = Object.keys(event.detail.fieldErrors || {});
+  const field = name && state.form.elements.namedItem(name);
+  const step = field?.closest?.(SIGNUP_CONFIG.SELECTORS.STEPS);
+  const index = state.steps.indexOf(step);
+
+  if (index === -1) return;
+
+  if (index !== state.current) {
+    goToStep(index);
+  }
+  field.focus();
+}
+
+/**
+ * Removes the wizard's listeners
+ */
+function cleanup() {
+  const { section, form } = state;
+
+  section.removeEventListener('submit', handleSubmit, true);
+  section.querySelector(SIGNUP_CONFIG.SELECTORS.BACK)?.removeEventListener('click', handleBack);
+  form.removeEventListener('input', handleFieldChange);
+  form.removeEventListener('change', handleFieldChange);
+  form.removeEventListener(FormValidator.EVENTS.SUBMITTED, handleSubmitted);
+  form.removeEventListener(FormValidator.EVENTS.FAILED, handleFailed);
+  window.removeEventListener('popstate', handlePopState);
+  document.removeEventListener(CURRENCY_CONFIG.EVENTS.CHANGE, renderSummary);
+}
+
+/**
+ * Initializes the signup wizard
+ * @returns {Function} Cleanup function
+ */
+function initializeSignup() {
+  const section = document.querySelector(SIGNUP_CONFIG.SELECTORS.SECTION);
+  const form = section?.querySelector(SIGNUP_CONFIG.SELECTORS.FORM);
+
+  if (!form) {
+    console.error('[Signup] Signup form not found in DOM');
+    return () => {};
+  }
+
+  state.section = section;
+  state.form = form;
+  state.steps = Array.from(form.querySelectorAll(SIGNUP_CONFIG.SELECTORS.STEPS));
+  state.current = 0;
+
+  renderPlanOptions();
+  showStep(restoreProgress(), { focus: false });
+
+  // History entries from before a reload still name a step
+  history.replaceState({ ...history.state, [SIGNUP_CONFIG.HISTORY_KEY]: state.current }, '');
+
+  section.addEventListener('submit', handleSubmit, true);
+  section.querySelector(SIGNUP_CONFIG.SELECTORS.BACK)?.addEventListener('click', handleBack);
+  form.addEventListener('input', handleFieldChange);
+  form.addEventListener('change', handleFieldChange);
+  form.addEventListener(FormValidator.EVENTS.SUBMITTED, handleSubmitted);
+  form.addEventListener(FormValidator.EVENTS.FAILED, handleFailed);
+  window.addEventListener('popstate', handlePopState);
+  document.addEventListener(CURRENCY_CONFIG.EVENTS.CHANGE, renderSummary);
+
+  if (import.meta.env.DEV) {
+    console.log(`[Signup] Initialized on step ${state.current + 1} of ${state.steps.length}`);
+  }
+
+  return cleanup;
+}
+
+export { initializeSignup, SIGNUP_CONFIG };
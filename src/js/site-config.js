@@ -0,0 +1,66 @@
+/**
+ * Site Configuration
+ * Exposes site.config.json (brand, URLs, social profiles, pricing, ratings and
+ * flag defaults) to the runtime modules. The file is validated at build time by
+ * plugins/site-config.js, so values can be read here without further checks.
+ *
+ * @module site-config
+ */
+
+import siteConfig from '../../site.config.json';
+
+/**
+ * Recursively freezes an object so modules cannot mutate shared config
+ * @param {Object} object - Object to freeze
+ * @returns {Object} The frozen object
+ */
+function deepFreeze(object) {
+  Object.values(object).forEach((value) => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
+
+/**
+ * Site configuration
+ * @type {Readonly<Object>}
+ */
+const SITE_CONFIG = deepFreeze(siteConfig);
+
+/**
+ * Resolves a site-relative path against the configured site URL
+ * @param {string} [path] - Path such as `/images/logo.png`
+ * @returns {string} Absolute URL
+ */
+function absoluteUrl(path = '') {
+  return `${SITE_CONFIG.url}${path}`;
+}
+
+/**
+ * Looks up a pricing plan by id
+ * @param {string} id - Plan id, e.g. `pro`
+ * @returns {Object|null} Plan config, or null if unknown
+ */
+function getPlan(id) {
+  return SITE_CONFIG.pricing.plans[id] || null;
+}
+
+/**
+ * Lists every pricing plan in display order
+ * @returns {Array<Object>} Plans, each with its `id`
+ */
+function getPlans() {
+  return Object.entries(SITE_CONFIG.pricing.plans).map(([id, plan]) => ({ id, ...plan }));
+}
+
+/**
+ * Lists the URLs of every configured social profile
+ * @returns {string[]} Profile URLs
+ */
+function getSocialUrls() {
+  return Object.values(SITE_CONFIG.social).map((profile) => profile.url);
+}
+
+export { SITE_CONFIG, absoluteUrl, getPlan, getPlans, getSocialUrls };
@@ -0,0 +1,70 @@
+/**
+ * Template Rendering
+ * Replaces `{{ path.to.value }}` placeholders in markup with values from a data
+ * object. Shared by the build plugins and the runtime component loader, so it
+ * must not touch the DOM.
+ *
+ * @module template
+ */
+
+/**
+ * Matches a placeholder; capture group 1 is the dotted path
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Characters escaped when a value is inserted into markup
+ */
+const HTML_ESCAPES = Object.freeze({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+});
+
+/**
+ * Escapes a value for use in HTML text or attribute content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Looks up a dotted path in an object
+ * @param {Object} data - Source object
+ * @param {string} path - Dotted path, e.g. `pricing.plans.pro.price`
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(data, path) {
+  return path
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Renders the placeholders in a template
+ * @param {string} template - Markup containing placeholders
+ * @param {Object} data - Values to substitute
+ * @param {Object} [options]
+ * @param {Function} [options.onMissing] - Called with the path of an unresolved placeholder
+ * @returns {string} Rendered markup; unresolved placeholders render as empty strings
+ */
+function renderTemplate(template, data, { onMissing } = {}) {
+  return template.replace(PLACEHOLDER_PATTERN, (_match, path) => {
+    const value = getPath(data, path);
+
+    if (value == null || typeof value === 'object') {
+      if (onMissing) {
+        onMissing(path);
+      }
+      return '';
+    }
+
+    return escapeHtml(value);
+  });
+}
+
+export { renderTemplate, escapeHtml, getPath };
@@ -336,15 +336,6 @@ function initTestimonials() {
   }
 }
 
-/**
- * Initialize when DOM is ready
- */
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initTestimonials);
-} else {
-  initTestimonials();
-}
-
 /**
  * Export for module usage
  */
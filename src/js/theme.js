@@ -0,0 +1,254 @@
+/**
+ * Theme Module
+ * Lets the visitor choose a light or dark theme, or follow the system setting,
+ * from the header's theme switcher. The choice persists in localStorage and is
+ * applied as `data-theme` on <html>; the inline script in index.html does the
+ * same before first paint, so this module takes over from an already themed
+ * page. Following the system keeps tracking `prefers-color-scheme`.
+ *
+ * The stylesheets key their dark rules off `data-theme`, see
+ * src/styles/design-system.css.
+ *
+ * @module theme
+ * @dependencies: [i18n]
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * Theme configuration
+ * Keep STORAGE_KEY and the resolution in sync with the inline script in index.html.
+ */
+const THEME_CONFIG = Object.freeze({
+  STORAGE_KEY: 'theme',
+  PREFERENCES: Object.freeze(['light', 'dark', 'system']),
+  DEFAULT_PREFERENCE: 'system',
+  DARK_QUERY: '(prefers-color-scheme: dark)',
+  // Custom property holding the browser UI color of the active theme
+  THEME_COLOR_PROPERTY: '--theme-color',
+  SELECTORS: Object.freeze({
+    SWITCHER: '[data-theme-switcher]',
+    OPTION: '[data-theme-option]',
+    META: 'meta[name="theme-color"]',
+  }),
+  CLASSES: Object.freeze({
+    OPTION: 'theme-switcher__option',
+    ICON: 'theme-switcher__icon',
+  }),
+  // Option labels are message keys, see src/locales
+  LABELS: Object.freeze({
+    light: 'theme.light',
+    dark: 'theme.dark',
+    system: 'theme.system',
+  }),
+  // 20×20 outline icons for each option
+  ICONS: Object.freeze({
+    light:
+      '<circle cx="10" cy="10" r="3.5"/><path d="M10 2v2M10 16v2M2 10h2M16 10h2M4.3 4.3l1.4 1.4' +
+      'M14.3 14.3l1.4 1.4M4.3 15.7l1.4-1.4M14.3 5.7l1.4-1.4"/>',
+    dark: '<path d="M16.5 12.5A7 7 0 0 1 7.5 3.5a7 7 0 1 0 9 9z"/>',
+    system: '<rect x="2.5" y="3.5" width="15" height="10" rx="1.5"/><path d="M7 17h6M10 13.5V17"/>',
+  }),
+  EVENTS: Object.freeze({
+    CHANGE: 'theme:change',
+  }),
+});
+
+/**
+ * Visitor's preference and the theme it resolves to
+ */
+const state = {
+  preference: THEME_CONFIG.DEFAULT_PREFERENCE,
+  theme: 'light',
+  mediaQuery: null,
+};
+
+/**
+ * Returns the preference saved in the theme switcher
+ * @returns {string} `light`, `dark` or `system`
+ */
+function getStoredPreference() {
+  try {
+    const stored = localStorage.getItem(THEME_CONFIG.STORAGE_KEY);
+    return THEME_CONFIG.PREFERENCES.includes(stored) ? stored : THEME_CONFIG.DEFAULT_PREFERENCE;
+  } catch (error) {
+    return THEME_CONFIG.DEFAULT_PREFERENCE;
+  }
+}
+
+/**
+ * Resolves a preference to the theme shown
+ * @param {string} preference - `light`, `dark` or `system`
+ * @returns {string} `light` or `dark`
+ */
+function resolveTheme(preference) {
+  if (preference !== 'system') {
+    return preference;
+  }
+  return state.mediaQuery?.matches ? 'dark' : 'light';
+}
+
+/**
+ * Returns the visitor's preference
+ * @returns {string} `light`, `dark` or `system`
+ */
+function getThemePreference() {
+  return state.preference;
+}
+
+/**
+ * Returns the theme currently shown
+ * @returns {string} `light` or `dark`
+ */
+function getTheme() {
+  return state.theme;
+}
+
+/**
+ * Mirrors the theme's `--theme-color` into the theme-color meta tag, which
+ * colors the browser UI on mobile
+ */
+function updateThemeColor() {
+  const meta = document.querySelector(THEME_CONFIG.SELECTORS.META);
+  const color = getComputedStyle(document.documentElement)
+    .getPropertyValue(THEME_CONFIG.THEME_COLOR_PROPERTY)
+    .trim();
+
+  if (meta && color) {
+    meta.setAttribute('content', color);
+  }
+}
+
+/**
+ * Renders the light, dark and system options into each `[data-theme-switcher]` slot
+ * @returns {HTMLElement[]} Rendered switchers
+ */
+function renderSwitchers() {
+  const { SELECTORS, CLASSES, LABELS, ICONS, PREFERENCES } = THEME_CONFIG;
+  const switchers = Array.from(document.querySelectorAll(SELECTORS.SWITCHER));
+
+  switchers.forEach((switcher) => {
+    const options = PREFERENCES.map((preference) => {
+      const option = document.createElement('button');
+      const label = t(LABELS[preference]);
+
+      option.type = 'button';
+      option.className = CLASSES.OPTION;
+      option.dataset.themeOption = preference;
+      option.setAttribute('aria-label', label);
+      option.title = label;
+      option.innerHTML = `<svg class="${CLASSES.ICON}" aria-hidden="true" width="20" height="20"
+        viewBox="0 0 20 20" fill="none" stroke="currentColor" stroke-width="1.5"
+        stroke-linecap="round" stroke-linejoin="round">${ICONS[preference]}</svg>`;
+
+      return option;
+    });
+
+    switcher.replaceChildren(...options);
+  });
+
+  return switchers;
+}
+
+/**
+ * Marks the switcher option matching the preference as pressed
+ */
+function updateSwitchers() {
+  document.querySelectorAll(THEME_CONFIG.SELECTORS.OPTION).forEach((option) => {
+    option.setAttribute('aria-pressed', String(option.dataset.themeOption === state.preference));
+  });
+}
+
+/**
+ * Applies the theme the current preference resolves to, notifying listeners
+ * when it changes
+ */
+function applyTheme() {
+  const previous = state.theme;
+  state.theme = resolveTheme(state.preference);
+
+  document.documentElement.dataset.theme = state.theme;
+  updateThemeColor();
+  updateSwitchers();
+
+  if (state.theme !== previous) {
+    document.dispatchEvent(
+      new CustomEvent(THEME_CONFIG.EVENTS.CHANGE, {
+        detail: { theme: state.theme, previous, preference: state.preference },
+      })
+    );
+  }
+}
+
+/**
+ * Sets and persists the visitor's preference
+ * @param {string} preference - `light`, `dark` or `system`
+ * @returns {boolean} Whether the preference was valid
+ */
+function setThemePreference(preference) {
+  if (!THEME_CONFIG.PREFERENCES.includes(preference)) {
+    console.warn(`[Theme] Unknown theme "${preference}"`);
+    return false;
+  }
+
+  state.preference = preference;
+
+  try {
+    localStorage.setItem(THEME_CONFIG.STORAGE_KEY, preference);
+  } catch (error) {
+    console.warn('[Theme] Could not persist theme');
+  }
+
+  applyTheme();
+  return true;
+}
+
+/**
+ * Handles clicks on the switcher options
+ * @param {MouseEvent} event - Click event
+ */
+function handleSwitcherClick(event) {
+  const option = event.target.closest(THEME_CONFIG.SELECTORS.OPTION);
+  if (option) {
+    setThemePreference(option.dataset.themeOption);
+  }
+}
+
+/**
+ * Follows system changes while the preference is `system`
+ */
+function handleSystemChange() {
+  if (state.preference === 'system') {
+    applyTheme();
+  }
+}
+
+/**
+ * Initializes the theme from the saved preference and renders the switchers
+ * @returns {Function} Cleanup function
+ */
+function initTheme() {
+  state.mediaQuery = window.matchMedia(THEME_CONFIG.DARK_QUERY);
+  state.preference = getStoredPreference();
+  // The inline script has already applied the theme before first paint
+  state.theme = document.documentElement.dataset.theme || resolveTheme(state.preference);
+
+  const switchers = renderSwitchers();
+  applyTheme();
+
+  switchers.forEach((switcher) => switcher.addEventListener('click', handleSwitcherClick));
+  state.mediaQuery.addEventListener('change', handleSystemChange);
+
+  return () => {
+    switchers.forEach((switcher) => switcher.removeEventListener('click', handleSwitcherClick));
+    state.mediaQuery.removeEventListener('change', handleSystemChange);
+  };
+}
+
+export {
+  initTheme,
+  getTheme,
+  getThemePreference,
+  setThemePreference,
+  THEME_CONFIG,
+};
@@ -8,6 +8,8 @@
  * @module workflow
  */
 
+import { getFlag, onFlagChange } from './flags.js';
+
 /**
  * Configuration for workflow animations
  * @const {Object}
@@ -20,6 +22,14 @@ const WORKFLOW_CONFIG = Object.freeze({
   // Animation timing
   STEP_ANIMATION_DELAY: 200, // ms between each step animation
   CONNECTOR_ANIMATION_DELAY: 150, // ms delay for connector animation
+  CONNECTOR_DRAW_DURATION: 500, // ms to draw a connector towards the next step
+
+  // Clip paths a connector is drawn from, per writing direction. clip-path
+  // insets are physical, so RTL reveals from the right edge.
+  CONNECTOR_DRAW_FROM: Object.freeze({
+    ltr: 'inset(0 100% 0 0)',
+    rtl: 'inset(0 0 0 100%)',
+  }),
   
   // CSS classes
   CLASSES: Object.freeze({
@@ -28,6 +38,9 @@ const WORKFLOW_CONFIG = Object.freeze({
     CONNECTOR_ACTIVE: 'workflow__connector--active',
     STATIC: 'static',
   }),
+
+  // Feature flag that turns the animations off, see flags.js
+  ANIMATIONS_FLAG: 'workflowAnimations',
   
   // Selectors
   SELECTORS: Object.freeze({
@@ -69,11 +82,21 @@ class WorkflowAnimationController {
     this.isAnimating = false;
     this.hasAnimated = false;
     this.prefersReducedMotion = false;
+    this.direction = this._getDirection();
     
     this._checkReducedMotion();
     this._init();
   }
   
+  /**
+   * Read the section's writing direction, which follows `dir` on <html>
+   * @private
+   * @returns {string} `ltr` or `rtl`
+   */
+  _getDirection() {
+    return window.getComputedStyle(this.workflowSection).direction === 'rtl' ? 'rtl' : 'ltr';
+  }
+  
   /**
    * Check if user prefers reduced motion
    * @private
@@ -96,6 +119,18 @@ class WorkflowAnimationController {
    * @private
    */
   _init() {
+    // The flag drives the static class, which can also be set in the markup
+    if (!getFlag(WORKFLOW_CONFIG.ANIMATIONS_FLAG)) {
+      this.workflowSection.classList.add(WORKFLOW_CONFIG.CLASSES.STATIC);
+    }
+
+    this._unsubscribeFlag = onFlagChange(WORKFLOW_CONFIG.ANIMATIONS_FLAG, (enabled) => {
+      if (!enabled) {
+        this.workflowSection.classList.add(WORKFLOW_CONFIG.CLASSES.STATIC);
+        this._skipAnimations();
+      }
+    });
+
     // Check for static mode (kill switch)
     if (this.workflowSection.classList.contains(WORKFLOW_CONFIG.CLASSES.STATIC)) {
       this._skipAnimations();
@@ -219,12 +254,23 @@ class WorkflowAnimationController {
   }
   
   /**
-   * Animate connector with draw effect
+   * Animate connector with draw effect, revealed from the step it leaves
+   * towards the next one in the current writing direction
    * @private
    * @param {HTMLElement} connector - The connector element
    */
   _animateConnector(connector) {
     connector.classList.add(WORKFLOW_CONFIG.CLASSES.CONNECTOR_ACTIVE);
+
+    if (typeof connector.animate === 'function') {
+      connector.animate(
+        [
+          { clipPath: WORKFLOW_CONFIG.CONNECTOR_DRAW_FROM[this.direction] },
+          { clipPath: 'inset(0)' },
+        ],
+        { duration: WORKFLOW_CONFIG.CONNECTOR_DRAW_DURATION, easing: 'ease-out' }
+      );
+    }
   }
   
   /**
@@ -346,6 +392,10 @@ class WorkflowAnimationController {
     if (this._cleanupResize) {
       this._cleanupResize();
     }
+
+    if (this._unsubscribeFlag) {
+      this._unsubscribeFlag();
+    }
     
     // Reset state
     this.isAnimating = false;
@@ -391,15 +441,5 @@ function cleanupWorkflowAnimations() {
   }
 }
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', initWorkflowAnimations);
-} else {
-  initWorkflowAnimations();
-}
-
-// Cleanup on page unload
-window.addEventListener('beforeunload', cleanupWorkflowAnimations);
-
 // Export for module usage
 export { WorkflowAnimationController, initWorkflowAnimations, cleanupWorkflowAnimations };
\ No newline at end of file
@@ -2,66 +2,172 @@ import './styles/main.css';
 import { initializeNavigation } from './js/navigation.js';
 import { initializeHero } from './js/hero.js';
 import { initializeFeatures } from './js/features.js';
-import { initializeWorkflow } from './js/workflow.js';
-import { initializeTestimonials } from './js/testimonials.js';
+import { initWorkflowAnimations, cleanupWorkflowAnimations } from './js/workflow.js';
+import { initTestimonials } from './js/testimonials.js';
 import { initializePricing } from './js/pricing.js';
+import { initializeSignup } from './js/signup.js';
 import { initializePerformance } from './js/performance.js';
 import { initializeSEO } from './js/seo.js';
+import { loadComponents, isMounted } from './js/components.js';
+import { ModuleRegistry } from './js/registry.js';
+import { initAnalytics } from './js/analytics.js';
+import { initConsent } from './js/consent.js';
+import { initExperiments } from './js/experiments.js';
+import { initFlags } from './js/flags.js';
+import { initEngagement } from './js/engagement.js';
+import { initFunnel } from './js/funnel.js';
+import { initServiceWorker } from './js/service-worker.js';
+import { initPlanContext } from './js/plan-context.js';
+import { initI18n } from './js/i18n.js';
+import { initTheme } from './js/theme.js';
+import { registerCoreModules } from '../js/main.js';
 
-// Load HTML components
-async function loadComponents() {
-  const components = [
-    { id: 'header', path: '/src/components/header.html' },
-    { id: 'hero', path: '/src/components/hero.html' },
-    { id: 'features', path: '/src/components/features.html' },
-    { id: 'workflow', path: '/src/components/workflow.html' },
-    { id: 'testimonials', path: '/src/components/testimonials.html' },
-    { id: 'pricing', path: '/src/components/pricing.html' },
-    { id: 'footer', path: '/src/components/footer.html' },
-  ];
+// Results of the component loader, filled in by the `components` module
+let components = new Map();
 
-  try {
-    await Promise.all(
-      components.map(async ({ id, path }) => {
-        const response = await fetch(path);
-        const html = await response.text();
-        const element = document.getElementById(id);
-        if (element) {
-          element.innerHTML = html;
-        }
-      })
-    );
-  } catch (error) {
-    console.error('Error loading components:', error);
-  }
+// Section modules, named after the component that provides their markup
+const SECTION_MODULES = [
+  { name: 'header', init: initializeNavigation },
+  { name: 'hero', init: initializeHero },
+  { name: 'features', init: initializeFeatures },
+  { name: 'workflow', init: initWorkflowAnimations, destroy: cleanupWorkflowAnimations },
+  { name: 'testimonials', init: initTestimonials },
+  { name: 'pricing', init: initializePricing },
+  { name: 'signup', init: initializeSignup },
+];
+
+// Register every module with the shared registry
+function registerModules(registry) {
+  // Assigns variants before any event is tracked or section rendered
+  registry.register({
+    name: 'experiments',
+    priority: 0,
+    init: initExperiments,
+  });
+
+  // Resolves flags, including experiment variants, before sections read them
+  registry.register({
+    name: 'flags',
+    priority: 0,
+    init: initFlags,
+  });
+
+  registry.register({
+    name: 'components',
+    priority: 0,
+    init: async () => {
+      components = await loadComponents();
+    },
+  });
+
+  // Translates the mounted components before consent or any section renders text
+  registry.register({
+    name: 'i18n',
+    priority: 0,
+    dependencies: ['components'],
+    init: initI18n,
+  });
+
+  // Takes over the theme applied before first paint and renders its switchers
+  // with translated labels
+  registry.register({
+    name: 'theme',
+    priority: 0,
+    dependencies: ['i18n'],
+    init: initTheme,
+  });
+
+  // Needs the banner and dialog from the consent component
+  registry.register({
+    name: 'consent',
+    priority: 0,
+    dependencies: ['components'],
+    init: initConsent,
+  });
+
+  // Events tracked before this runs, or before consent is decided, are queued
+  // by the dispatcher
+  registry.register({
+    name: 'analytics',
+    priority: 0,
+    dependencies: ['consent'],
+    init: () => initAnalytics(),
+  });
+
+  // Follows tracked events from the start, so no funnel step is missed
+  registry.register({
+    name: 'funnel',
+    priority: 0,
+    dependencies: ['analytics'],
+    init: initFunnel,
+  });
+
+  registerCoreModules(registry);
+
+  registry.register({
+    name: 'performance',
+    priority: 6,
+    dependencies: ['components'],
+    init: initializePerformance,
+  });
+
+  registry.register({
+    name: 'seo',
+    priority: 7,
+    dependencies: ['components', 'i18n'],
+    init: initializeSEO,
+  });
+
+  // Section modules only run when their component actually mounted
+  SECTION_MODULES.forEach((module) => {
+    registry.register({
+      ...module,
+      priority: 10,
+      dependencies: ['components', 'i18n'],
+      enabled: () => isMounted(components.get(module.name)),
+    });
+  });
+
+  // Observes the sections once they are rendered
+  registry.register({
+    name: 'engagement',
+    priority: 11,
+    dependencies: ['components'],
+    init: initEngagement,
+  });
+
+  // Fills the forms, including the signup wizard's plan step, with the chosen plan
+  registry.register({
+    name: 'planContext',
+    priority: 11,
+    dependencies: ['components', 'i18n'],
+    init: initPlanContext,
+  });
+
+  // Caches the site for offline visits, prompts for updates and delivers
+  // queued form submissions through Background Sync
+  registry.register({
+    name: 'serviceWorker',
+    priority: 12,
+    dependencies: ['i18n'],
+    init: initServiceWorker,
+  });
 }
 
 // Initialize all modules
 async function initializeApp() {
-  try {
-    await loadComponents();
-
-    // Initialize performance optimizations
-    const performanceCleanup = initializePerformance();
-
-    // Initialize SEO enhancements
-    const seoCleanup = initializeSEO();
+  const registry = new ModuleRegistry();
 
-    // Initialize component modules
-    initializeNavigation();
-    initializeHero();
-    initializeFeatures();
-    initializeWorkflow();
-    initializeTestimonials();
-    initializePricing();
+  try {
+    registerModules(registry);
 
-    console.log('Application initialized successfully');
+    const report = await registry.start();
+    if (import.meta.env.DEV) {
+      console.log(`Application initialized: ${report.modules.length} modules ready`);
+    }
 
     // Cleanup on page unload
-    window.addEventListener('beforeunload', () => {
-      performanceCleanup();
-      seoCleanup();
-    });
+    window.addEventListener('beforeunload', () => registry.destroy());
   } catch (error) {
     console.error('Error initializing application:', error);
   }
@@ -72,4 +178,4 @@ if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeApp);
 } else {
   initializeApp();
-}
\ No newline at end of file
+}
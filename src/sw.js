@@ -0,0 +1,261 @@
+/**
+ * Service Worker
+ * Precaches the build so repeat visits load from the cache, keeps pages,
+ * component partials and public files such as flags.json fresh with
+ * stale-while-revalidate and serves an offline page when a page was never
+ * cached. Built into `sw.js` by plugins/service-worker.js, which fills in the
+ * version and precache list.
+ *
+ * A new version installs alongside the running one and waits until a page
+ * accepts the update prompt from src/js/service-worker.js. Activating it
+ * deletes the caches of every earlier version.
+ *
+ * It also delivers form submissions queued in IndexedDB by js/form-queue.js
+ * when Background Sync reports the network is back, even after the page
+ * closed. Pages that are still open are told which submissions were delivered.
+ *
+ * @module sw
+ */
+
+/**
+ * Build version and precached URLs, injected at build time
+ * @type {{version: string, assets: string[], html: string[], offline: string}}
+ */
+const BUILD = self.__SW_BUILD__;
+
+/**
+ * Cache settings
+ */
+const CACHE_CONFIG = Object.freeze({
+  PREFIX: 'site-',
+  // Hashed scripts, stylesheets and assets, served cache-first
+  ASSETS: `site-assets-${BUILD.version}`,
+  // Pages, partials and public files, served stale-while-revalidate
+  HTML: `site-html-${BUILD.version}`,
+  // Matches SERVICE_WORKER_CONFIG.SKIP_WAITING_MESSAGE in src/js/service-worker.js
+  SKIP_WAITING_MESSAGE: 'sw:skip-waiting',
+});
+
+/**
+ * Precached asset paths, for quick lookups
+ */
+const PRECACHED_ASSETS = new Set(BUILD.assets);
+
+/**
+ * Precached paths that are revalidated, for quick lookups
+ */
+const PRECACHED_HTML = new Set(BUILD.html);
+
+/**
+ * Queue settings, matching QUEUE_CONFIG in js/form-queue.js
+ */
+const FORM_QUEUE = Object.freeze({
+  DB_NAME: 'form-queue',
+  DB_VERSION: 1,
+  STORE: 'submissions',
+  SYNC_TAG: 'form-queue',
+  QUEUED_AT_HEADER: 'Queued-At',
+  SENT_MESSAGE: 'form-queue:sent',
+});
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the queue database, creating the store if no page has yet
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  const request = indexedDB.open(FORM_QUEUE.DB_NAME, FORM_QUEUE.DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(FORM_QUEUE.STORE, { keyPath: 'id' });
+  };
+  return promisify(request);
+}
+
+/**
+ * Sends every queued submission and removes delivered and expired entries.
+ * Rejects while entries remain undelivered, so the browser retries the sync.
+ * @returns {Promise<void>}
+ */
+async function flushFormQueue() {
+  const db = await openDatabase();
+  const store = (mode) => db.transaction(FORM_QUEUE.STORE, mode).objectStore(FORM_QUEUE.STORE);
+
+  const entries = await promisify(store('readonly').getAll());
+  const delivered = [];
+  let pending = 0;
+
+  entries.sort((a, b) => a.createdAt - b.createdAt);
+
+  for (const entry of entries) {
+    if (entry.expiresAt <= Date.now()) {
+      await promisify(store('readwrite').delete(entry.id));
+      continue;
+    }
+
+    let response;
+    try {
+      response = await fetch(entry.url, {
+        method: entry.method,
+        headers: {
+          ...entry.headers,
+          'Idempotency-Key': entry.id,
+          [FORM_QUEUE.QUEUED_AT_HEADER]: String(entry.queuedAt),
+        },
+        body: entry.body,
+      });
+    } catch (error) {
+      pending += 1;
+      continue;
+    }
+
+    // Server errors may pass; client errors will not, so the entry is dropped
+    if (response.status >= 500) {
+      pending += 1;
+      continue;
+    }
+
+    await promisify(store('readwrite').delete(entry.id));
+    if (response.ok) {
+      delivered.push(entry);
+    }
+  }
+
+  if (delivered.length > 0) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach((client) =>
+      client.postMessage({ type: FORM_QUEUE.SENT_MESSAGE, entries: delivered })
+    );
+  }
+
+  if (pending > 0) {
+    throw new Error(`${pending} queued submissions not delivered`);
+  }
+}
+
+/**
+ * Fills the caches of this version
+ * @returns {Promise<void>}
+ */
+async function precache() {
+  const [assets, html] = await Promise.all([
+    caches.open(CACHE_CONFIG.ASSETS),
+    caches.open(CACHE_CONFIG.HTML),
+  ]);
+
+  await Promise.all([
+    assets.addAll([...BUILD.assets, BUILD.offline]),
+    html.addAll(BUILD.html),
+  ]);
+}
+
+/**
+ * Deletes the caches of earlier versions
+ * @returns {Promise<void>}
+ */
+async function deleteOldCaches() {
+  const current = [CACHE_CONFIG.ASSETS, CACHE_CONFIG.HTML];
+  const names = await caches.keys();
+
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(CACHE_CONFIG.PREFIX) && !current.includes(name))
+      .map((name) => caches.delete(name))
+  );
+}
+
+/**
+ * Serves a precached asset, fetching it if the cache was cleared
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: CACHE_CONFIG.ASSETS });
+  return cached || fetch(request);
+}
+
+/**
+ * Serves a page, partial or public file from the cache while fetching a fresh copy for the
+ * next visit. Pages are cached without their query, so `?plan=pro` links share
+ * one entry. Falls back to the offline page for a navigation never cached.
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_CONFIG.HTML);
+  const url = new URL(request.url);
+  const key = `${url.origin}${url.pathname}`;
+
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok) {
+        return cache.put(key, response.clone()).then(() => response);
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  const cached = await cache.match(key);
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+
+  const response = await network;
+  if (response) {
+    return response;
+  }
+
+  const offline = request.mode === 'navigate' && (await caches.match(BUILD.offline));
+  return offline || Response.error();
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(deleteOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === CACHE_CONFIG.SKIP_WAITING_MESSAGE) {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (PRECACHED_ASSETS.has(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else if (
+    request.mode === 'navigate' ||
+    url.pathname.endsWith('.html') ||
+    PRECACHED_HTML.has(url.pathname)
+  ) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === FORM_QUEUE.SYNC_TAG) {
+    event.waitUntil(flushFormQueue());
+  }
+});
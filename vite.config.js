@@ -1,10 +1,30 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import inlineComponents from './plugins/inline-components.js';
+import siteConfig from './plugins/site-config.js';
+import i18n from './plugins/i18n.js';
+import analyticsCollector from './plugins/analytics-collector.js';
+import serviceWorker from './plugins/service-worker.js';
 
 export default defineConfig({
   root: '.',
   publicDir: 'public',
 
+  plugins: [
+    // Partials are inlined into index.html unless runtime loading is opted into
+    inlineComponents({
+      runtime: process.env.VITE_RUNTIME_COMPONENTS === 'true',
+    }),
+    // Validates site.config.json and renders its placeholders, including those in inlined partials
+    siteConfig(),
+    // Checks the catalogs in src/locales and emits a page per locale, see src/js/i18n.js
+    i18n(),
+    // Receives first-party analytics beacons in dev and preview, see src/js/beacon.js
+    analyticsCollector(),
+    // Builds sw.js from src/sw.js with a precache list of the whole build output
+    serviceWorker(),
+  ],
+
   build: {
     outDir: 'dist',
     emptyOutDir: true,